@@ -0,0 +1,142 @@
+/**
+ * 规则查询基准测试
+ * 对比逐张创建 Card 对象、按牌ID拆牌的旧写法与基于手牌计数（HandCounts）的新写法，并校验两者结果一致
+ *
+ * 用法：node scripts/benchmark-rule-checks.js [局面数] [每个局面的查询轮数]
+ */
+const { Card, CardDeck, HUA_CARDS } = require('../src/models/Card');
+const { Game } = require('../src/models/Game');
+const WinChecker = require('../src/services/winChecker');
+
+const SAMPLE_COUNT = Number(process.argv[2]) || 200;
+const ROUNDS = Number(process.argv[3]) || 10;
+const FENGS = ['dong', 'nan', 'xi', 'bei'];
+
+/**
+ * 旧写法：每次查询都把手牌ID转换为 Card 对象
+ */
+const legacy = {
+  canPeng(player, cardId) {
+    const card = Card.fromId(cardId);
+    return player.handCards.filter(id => Card.fromId(id).equals(card)).length >= 2;
+  },
+
+  canGang(player, cardId) {
+    const card = Card.fromId(cardId);
+    return player.handCards.filter(id => Card.fromId(id).equals(card)).length >= 3;
+  },
+
+  canChi(player, cardId) {
+    const card = Card.fromId(cardId);
+    if (!card.isNumber()) return false;
+
+    const handCards = player.handCards.map(id => Card.fromId(id));
+    for (let i = 0; i < handCards.length - 1; i++) {
+      for (let j = i + 1; j < handCards.length; j++) {
+        if (card.canFormSequence(handCards[i], handCards[j])) return true;
+      }
+    }
+    return false;
+  },
+
+  canHu(player, cardId) {
+    return WinChecker.findDecompositions([...player.handCards, cardId], player.exposedCards).length > 0;
+  },
+
+  calculateFlowerFan(player) {
+    let fanCount = 0;
+    player.flowerCards.forEach(cardId => {
+      if (Card.fromId(cardId).getFlowerFeng() === player.feng) fanCount += 1;
+    });
+
+    const flowerValues = player.flowerCards.map(cardId => Card.fromId(cardId).value);
+    const fourSeasons = [HUA_CARDS.CHUN, HUA_CARDS.XIA, HUA_CARDS.QIU, HUA_CARDS.DONG];
+    const fourPlants = [HUA_CARDS.MEI, HUA_CARDS.LAN, HUA_CARDS.JU, HUA_CARDS.ZHU];
+    if (fourSeasons.every(value => flowerValues.includes(value))) fanCount += 2;
+    if (fourPlants.every(value => flowerValues.includes(value))) fanCount += 2;
+
+    return fanCount;
+  }
+};
+
+const RULE_CHECKS = ['canPeng', 'canGang', 'canChi', 'canHu'];
+
+/**
+ * 随机生成局面：四家各13张手牌和若干花牌
+ */
+function createSamples() {
+  return Array.from({ length: SAMPLE_COUNT }, () => {
+    const deck = new CardDeck();
+    deck.shuffle();
+
+    const flowers = deck.cards.filter(card => card.isFlower()).map(card => card.id);
+    const tiles = deck.cards.filter(card => !card.isFlower()).map(card => card.id);
+
+    const players = FENGS.map((feng, position) => ({
+      position,
+      feng,
+      handCards: tiles.splice(0, 13),
+      flowerCards: flowers.splice(0, Math.floor(Math.random() * 5)),
+      exposedCards: [],
+      discardedCards: []
+    }));
+
+    return { game: new Game({ players, deck: [], settings: {} }), queries: tiles.slice(0, 20) };
+  });
+}
+
+function time(label, fn) {
+  const start = process.hrtime.bigint();
+  const result = fn();
+  const ms = Number(process.hrtime.bigint() - start) / 1e6;
+  console.log(`${label.padEnd(28)} ${ms.toFixed(1).padStart(9)} ms`);
+  return { ms, result };
+}
+
+function run(useCounts, samples) {
+  let hits = 0;
+  for (let round = 0; round < ROUNDS; round++) {
+    samples.forEach(({ game, queries }) => {
+      game.data.players.forEach((player, position) => {
+        queries.forEach(cardId => {
+          RULE_CHECKS.forEach(method => {
+            hits += useCounts ? game[method](position, cardId) : legacy[method](player, cardId);
+          });
+        });
+        hits += useCounts ? game.calculateFlowerFan(position) : legacy.calculateFlowerFan(player);
+      });
+    });
+  }
+  return hits;
+}
+
+function verify(samples) {
+  samples.forEach(({ game, queries }) => {
+    game.data.players.forEach((player, position) => {
+      queries.forEach(cardId => {
+        RULE_CHECKS.forEach(method => {
+          if (game[method](position, cardId) !== legacy[method](player, cardId)) {
+            throw new Error(`${method} 结果不一致: ${player.handCards.join(',')} / ${cardId}`);
+          }
+        });
+      });
+
+      if (game.calculateFlowerFan(position) !== legacy.calculateFlowerFan(player)) {
+        throw new Error(`calculateFlowerFan 结果不一致: ${player.flowerCards.join(',')} / ${player.feng}`);
+      }
+    });
+  });
+}
+
+const samples = createSamples();
+verify(samples);
+console.log(`${SAMPLE_COUNT} 个局面 x ${ROUNDS} 轮，结果一致`);
+
+const before = time('旧写法（Card 对象）', () => run(false, samples));
+const after = time('手牌计数（HandCounts）', () => run(true, samples));
+
+if (before.result !== after.result) {
+  throw new Error('两种写法的统计结果不一致');
+}
+
+console.log(`提速 ${(before.ms / after.ms).toFixed(1)} 倍`);
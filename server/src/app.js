@@ -274,7 +274,7 @@ class NinghaiMahjongServer {
     });
 
     // 将io实例添加到app中，供其他模块使用
-    this.app.io = this.io;
+    this.app.set('io', this.io);
 
     logger.info('Socket.io配置完成');
   }
@@ -1,5 +1,6 @@
-const { Game, GameModel, GAME_STATES, PLAYER_ACTIONS } = require('../models/Game');
+const { Game, GameModel, GAME_STATES, PLAYER_ACTIONS, GANG_TYPES } = require('../models/Game');
 const { Room, ROOM_STATES } = require('../models/Room');
+const SocketHandler = require('../socket/socketHandler');
 const logger = require('../utils/logger');
 
 /**
@@ -12,9 +13,36 @@ class GameController {
    */
   static async createGame(req, res) {
     try {
-      const { roomId } = req.body;
+      const { roomId, seed, stack } = req.body;
       const userId = req.user.id;
 
+      // 指定牌局只允许管理员在非生产环境使用
+      if (stack !== undefined && !this.isDevToolAllowed(req)) {
+        logger.security('拒绝指定牌局', { userId, roomId });
+        return res.status(403).json({
+          success: false,
+          message: '不允许指定牌局',
+          code: 'STACK_NOT_ALLOWED'
+        });
+      }
+
+      // 指定洗牌种子只在开发测试环境可用
+      if (seed !== undefined && process.env.NODE_ENV === 'production') {
+        return res.status(400).json({
+          success: false,
+          message: '不允许指定洗牌种子',
+          code: 'SEED_NOT_ALLOWED'
+        });
+      }
+
+      if (seed !== undefined && (typeof seed !== 'string' || seed.length === 0)) {
+        return res.status(400).json({
+          success: false,
+          message: '洗牌种子必须是非空字符串',
+          code: 'INVALID_SEED'
+        });
+      }
+
       // 查找房间
       const room = await Room.findByRoomId(roomId);
       if (!room) {
@@ -40,44 +68,50 @@ class GameController {
         });
       }
 
+      if (room.isMatchOver()) {
+        return res.status(400).json({
+          success: false,
+          message: '对局已打满局数'
+        });
+      }
+
+      const nextHand = room.getNextHand();
+
+      // 摆牌时按牌局指定的庄家，避免骰子定庄与起手牌张数不符
+      const stackDealer = stack ? Game.getStackDealer(stack) : null;
+      const dealer = stackDealer === null ? nextHand.dealer : stackDealer;
+
       // 创建游戏
       const gameData = new GameModel({
         roomId: roomId,
-        players: room.getPlayers().map((player, index) => ({
-          userId: player.userId,
-          position: index,
-          feng: this.getFengByPosition(index),
-          handCards: [],
-          discardedCards: [],
-          exposedCards: [],
-          flowerCards: [],
-          isReady: false,
-          score: 0
-        })),
+        round: nextHand.round,
+        players: [],
         mode: room.data.gameSettings.mode,
         settings: {
           maxRounds: room.data.gameSettings.maxRounds,
-          timeLimit: room.data.gameSettings.timeLimit
+          timeLimit: room.data.gameSettings.timeLimit,
+          firstLapRestriction: room.data.gameSettings.firstLapRestriction,
+          discardAdvice: room.data.gameSettings.discardAdvice
         }
       });
 
-      await gameData.save();
-
-      // 初始化游戏逻辑
+      // 初始化游戏逻辑，第一局由房主掷骰子定庄
       const game = new Game(gameData);
-      game.initialize(room.getPlayers(), room.data.gameSettings.mode);
+      game.initialize(room.getPlayers(), room.data.gameSettings.mode, dealer, {
+        seed,
+        roller: room.getOwnerPosition()
+      });
       
       // 发牌
-      game.dealCards();
+      game.dealCards(stack || null);
       
-      // 保存游戏状态
+      // 发牌成功后才保存，指定的牌局不合法时不留下空的游戏记录
       await gameData.save();
 
       // 更新房间状态
-      room.data.currentGame = gameData._id;
-      await room.startGame();
+      await room.startGame(gameData._id, gameData.dealer);
 
-      logger.info(`游戏创建成功: ${gameData._id}, 房间: ${roomId}`);
+      logger.info(`游戏创建成功: ${gameData._id}, 房间: ${roomId}, 第${nextHand.round}局, 庄家: ${gameData.dealer}`);
 
       res.json({
         success: true,
@@ -89,14 +123,22 @@ class GameController {
 
     } catch (error) {
       logger.error('创建游戏失败:', error);
-      res.status(500).json({
+      res.status(error.code ? 400 : 500).json({
         success: false,
         message: '创建游戏失败',
+        code: error.code,
         error: error.message
       });
     }
   }
 
+  /**
+   * 开发工具是否可用：非生产环境且为管理员
+   */
+  static isDevToolAllowed(req) {
+    return process.env.NODE_ENV !== 'production' && Boolean(req.user) && req.user.role === 'admin';
+  }
+
   /**
    * 获取游戏状态
    */
@@ -123,11 +165,22 @@ class GameController {
       }
 
       const game = new Game(gameData);
-      const gameState = game.getGameState();
+
+      // 抢牌窗口超时则按过处理
+      if (game.expireClaimWindow()) {
+        await gameData.save();
+        await this.finishRoomGame(gameData, req.app.get('io'));
+      }
+
+      const gameState = game.getGameState(player.position);
 
       // 为当前玩家添加手牌信息
       gameState.myCards = player.handCards;
       gameState.myPosition = player.position;
+      gameState.myActions = player.availableActions;
+      gameState.myChiOptions = game.getPendingChiOptions(player.position);
+      gameState.myTenpai = game.getTenpaiInfo(player.position);
+      gameState.myDangerousDiscards = game.getDangerousDiscards(player.position);
 
       res.json({
         success: true,
@@ -145,12 +198,11 @@ class GameController {
   }
 
   /**
-   * 玩家出牌
+   * 获取出牌建议（需房间开启）
    */
-  static async playerDiscard(req, res) {
+  static async getDiscardAdvice(req, res) {
     try {
       const { gameId } = req.params;
-      const { cardId } = req.body;
       const userId = req.user.id;
 
       const gameData = await GameModel.findById(gameId);
@@ -161,7 +213,6 @@ class GameController {
         });
       }
 
-      // 检查用户是否在游戏中
       const player = gameData.players.find(p => p.userId.toString() === userId.toString());
       if (!player) {
         return res.status(403).json({
@@ -170,215 +221,117 @@ class GameController {
         });
       }
 
-      const game = new Game(gameData);
-      
-      // 执行出牌操作
-      game.playerDiscard(player.position, cardId);
-      
-      // 保存游戏状态
-      await gameData.save();
+      if (!gameData.settings || !gameData.settings.discardAdvice) {
+        return res.status(403).json({
+          success: false,
+          message: '本房间未开启出牌建议',
+          code: 'ADVICE_DISABLED'
+        });
+      }
 
-      logger.info(`玩家出牌: ${userId}, 游戏: ${gameId}, 牌: ${cardId}`);
+      const game = new Game(gameData);
+      const advice = game.getDiscardAdvice(player.position);
+
+      logger.game('玩家使用出牌建议', {
+        userId,
+        gameId,
+        position: player.position,
+        shanten: advice.shanten,
+        suggested: advice.discards.length > 0 ? advice.discards[0].cardId : null
+      });
 
       res.json({
         success: true,
-        data: {
-          gameState: game.getGameState(),
-          action: PLAYER_ACTIONS.DISCARD,
-          cardId: cardId
-        }
+        data: advice
       });
 
     } catch (error) {
-      logger.error('玩家出牌失败:', error);
-      res.status(500).json({
+      logger.error('获取出牌建议失败:', error);
+      res.status(error.code ? 400 : 500).json({
         success: false,
-        message: error.message || '出牌失败'
+        message: error.message || '获取出牌建议失败',
+        code: error.code
       });
     }
   }
 
+  /**
+   * 玩家出牌
+   */
+  static async playerDiscard(req, res) {
+    const { cardId } = req.body;
+    return this.runGameAction(req, res, PLAYER_ACTIONS.DISCARD, '出牌失败', (game, player) => {
+      game.playerDiscard(player.position, cardId);
+      return { cardId, claimWindow: game.getPublicClaimWindow() };
+    });
+  }
+
   /**
    * 玩家吃牌
    */
   static async playerChi(req, res) {
-    try {
-      const { gameId } = req.params;
-      const { cardIds } = req.body; // 包含要吃的牌和手牌中的两张牌
-      const userId = req.user.id;
-
-      const gameData = await GameModel.findById(gameId);
-      if (!gameData) {
-        return res.status(404).json({
-          success: false,
-          message: '游戏不存在'
-        });
-      }
-
-      const player = gameData.players.find(p => p.userId.toString() === userId.toString());
-      if (!player) {
-        return res.status(403).json({
-          success: false,
-          message: '您不在此游戏中'
-        });
-      }
-
-      const game = new Game(gameData);
-      
-      // 检查是否可以吃牌
-      if (!game.canChi(player.position, gameData.lastDiscardedCard)) {
-        return res.status(400).json({
-          success: false,
-          message: '无法吃牌'
-        });
-      }
-
-      // 执行吃牌操作
-      this.executeChiAction(game, player.position, cardIds);
-      
-      await gameData.save();
-
-      logger.info(`玩家吃牌: ${userId}, 游戏: ${gameId}`);
-
-      res.json({
-        success: true,
-        data: {
-          gameState: game.getGameState(),
-          action: PLAYER_ACTIONS.CHI
-        }
-      });
-
-    } catch (error) {
-      logger.error('玩家吃牌失败:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || '吃牌失败'
-      });
-    }
+    const { cardIds, chiType } = req.body; // 手牌中的两张牌，或 myChiOptions 中的组合类型（low/middle/high）
+    return this.runGameAction(req, res, PLAYER_ACTIONS.CHI, '吃牌失败', (game, player) => ({
+      claimResult: game.submitClaim(player.position, PLAYER_ACTIONS.CHI, chiType || cardIds || [])
+    }));
   }
 
   /**
    * 玩家碰牌
    */
   static async playerPeng(req, res) {
-    try {
-      const { gameId } = req.params;
-      const userId = req.user.id;
-
-      const gameData = await GameModel.findById(gameId);
-      if (!gameData) {
-        return res.status(404).json({
-          success: false,
-          message: '游戏不存在'
-        });
-      }
-
-      const player = gameData.players.find(p => p.userId.toString() === userId.toString());
-      if (!player) {
-        return res.status(403).json({
-          success: false,
-          message: '您不在此游戏中'
-        });
-      }
-
-      const game = new Game(gameData);
-      
-      // 检查是否可以碰牌
-      if (!game.canPeng(player.position, gameData.lastDiscardedCard)) {
-        return res.status(400).json({
-          success: false,
-          message: '无法碰牌'
-        });
-      }
-
-      // 执行碰牌操作
-      this.executePengAction(game, player.position, gameData.lastDiscardedCard);
-      
-      await gameData.save();
-
-      logger.info(`玩家碰牌: ${userId}, 游戏: ${gameId}`);
-
-      res.json({
-        success: true,
-        data: {
-          gameState: game.getGameState(),
-          action: PLAYER_ACTIONS.PENG
-        }
-      });
-
-    } catch (error) {
-      logger.error('玩家碰牌失败:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || '碰牌失败'
-      });
-    }
+    const { cardIds } = req.body; // 可选，手牌中要亮出的两张牌
+    return this.runGameAction(req, res, PLAYER_ACTIONS.PENG, '碰牌失败', (game, player) => ({
+      claimResult: game.submitClaim(player.position, PLAYER_ACTIONS.PENG, cardIds || [])
+    }));
   }
 
   /**
    * 玩家杠牌
    */
   static async playerGang(req, res) {
-    try {
-      const { gameId } = req.params;
-      const { gangType } = req.body; // 'ming' 明杠, 'an' 暗杠, 'jia' 加杠
-      const userId = req.user.id;
-
-      const gameData = await GameModel.findById(gameId);
-      if (!gameData) {
-        return res.status(404).json({
-          success: false,
-          message: '游戏不存在'
-        });
+    const { gangType, cardId, cardIds } = req.body; // 'ming' 明杠, 'an' 暗杠, 'jia' 加杠；暗杠、加杠需指定手中的牌，明杠可指定手中的三张
+    return this.runGameAction(req, res, PLAYER_ACTIONS.GANG, '杠牌失败', (game, player) => {
+      // 明杠是对别人打出的牌的抢牌
+      if (gangType === GANG_TYPES.MING) {
+        return { gangType, claimResult: game.submitClaim(player.position, PLAYER_ACTIONS.GANG, cardIds || []) };
       }
 
-      const player = gameData.players.find(p => p.userId.toString() === userId.toString());
-      if (!player) {
-        return res.status(403).json({
-          success: false,
-          message: '您不在此游戏中'
-        });
-      }
+      // 暗杠或加杠（加杠可能先打开抢杠窗口）
+      game.applyGang(player.position, gangType, cardId);
+      return { gangType, claimWindow: game.getPublicClaimWindow() };
+    });
+  }
 
-      const game = new Game(gameData);
-      
-      // 根据杠牌类型执行不同操作
-      if (gangType === 'ming' && !game.canGang(player.position, gameData.lastDiscardedCard)) {
-        return res.status(400).json({
-          success: false,
-          message: '无法明杠'
-        });
+  /**
+   * 玩家胡牌
+   */
+  static async playerHu(req, res) {
+    return this.runGameAction(req, res, PLAYER_ACTIONS.HU, '胡牌失败', (game, player) => {
+      // 有抢牌窗口时为抢胡，否则为摸牌后胡
+      if (game.data.claimWindow) {
+        return { claimResult: game.submitClaim(player.position, PLAYER_ACTIONS.HU) };
       }
 
-      // 执行杠牌操作
-      this.executeGangAction(game, player.position, gangType, gameData.lastDiscardedCard);
-      
-      await gameData.save();
-
-      logger.info(`玩家杠牌: ${userId}, 游戏: ${gameId}, 类型: ${gangType}`);
-
-      res.json({
-        success: true,
-        data: {
-          gameState: game.getGameState(),
-          action: PLAYER_ACTIONS.GANG,
-          gangType: gangType
-        }
-      });
+      game.declareWinOnDraw(player.position);
+      return {};
+    });
+  }
 
-    } catch (error) {
-      logger.error('玩家杠牌失败:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || '杠牌失败'
-      });
-    }
+  /**
+   * 玩家过牌
+   */
+  static async playerPass(req, res) {
+    return this.runGameAction(req, res, PLAYER_ACTIONS.PASS, '过牌失败', (game, player) => ({
+      claimResult: game.submitClaim(player.position, PLAYER_ACTIONS.PASS)
+    }));
   }
 
   /**
-   * 玩家胡牌
+   * 执行游戏操作的通用流程：加载游戏、校验玩家、处理超时的抢牌窗口、执行操作并保存
+   * @param {Function} execute (game, player) => 附加返回数据
    */
-  static async playerHu(req, res) {
+  static async runGameAction(req, res, action, failureMessage, execute) {
     try {
       const { gameId } = req.params;
       const userId = req.user.id;
@@ -400,215 +353,99 @@ class GameController {
       }
 
       const game = new Game(gameData);
-      
-      // 检查是否可以胡牌
-      if (!game.canHu(player.position, gameData.lastDiscardedCard)) {
-        return res.status(400).json({
-          success: false,
-          message: '无法胡牌'
-        });
-      }
 
-      // 计算胡牌信息
-      const huInfo = this.calculateHuInfo(game, player.position);
-      
-      // 结束游戏
-      game.endGame(player.position, huInfo.winType, huInfo.fanCount, huInfo.huCount);
-      
-      await gameData.save();
-
-      // 更新房间状态
-      const room = await Room.findByRoomId(gameData.roomId);
-      if (room) {
-        await room.gameFinished({
-          gameId: gameData._id,
-          startTime: gameData.startTime,
-          endTime: gameData.endTime,
-          winner: player.position,
-          scores: gameData.players.map(p => p.score)
-        });
+      // 超时的抢牌窗口先按过裁决并保存，本次操作失败时裁决结果也不会丢失
+      if (game.expireClaimWindow()) {
+        await gameData.save();
+        await this.finishRoomGame(gameData, req.app.get('io'));
       }
 
-      logger.info(`玩家胡牌: ${userId}, 游戏: ${gameId}`);
-
-      res.json({
-        success: true,
-        data: {
-          gameState: game.getGameState(),
-          action: PLAYER_ACTIONS.HU,
-          huInfo: huInfo
-        }
-      });
-
-    } catch (error) {
-      logger.error('玩家胡牌失败:', error);
-      res.status(500).json({
-        success: false,
-        message: error.message || '胡牌失败'
-      });
-    }
-  }
-
-  /**
-   * 玩家过牌
-   */
-  static async playerPass(req, res) {
-    try {
-      const { gameId } = req.params;
-      const userId = req.user.id;
-
-      const gameData = await GameModel.findById(gameId);
-      if (!gameData) {
-        return res.status(404).json({
-          success: false,
-          message: '游戏不存在'
+      const result = execute(game, player);
+
+      // 每次操作后核对全部牌，出现重复或缺失的牌时不保存本次操作
+      const audit = game.auditTiles();
+      if (!audit.valid) {
+        logger.security('牌局核对失败', {
+          userId,
+          gameId,
+          action,
+          duplicates: audit.duplicates,
+          missing: audit.missing,
+          unknown: audit.unknown,
+          countsInSync: audit.countsInSync
         });
-      }
-
-      const player = gameData.players.find(p => p.userId.toString() === userId.toString());
-      if (!player) {
-        return res.status(403).json({
+        return res.status(500).json({
           success: false,
-          message: '您不在此游戏中'
+          message: failureMessage,
+          code: 'TILE_AUDIT_FAILED'
         });
       }
 
-      const game = new Game(gameData);
-      
-      // 清除玩家的可用动作
-      delete player.availableActions;
-      
       await gameData.save();
+      await this.finishRoomGame(gameData, req.app.get('io'));
+
+      logger.info(`玩家操作: ${userId}, 游戏: ${gameId}, 动作: ${action}`);
 
       res.json({
         success: true,
         data: {
-          gameState: game.getGameState(),
-          action: PLAYER_ACTIONS.PASS
+          gameState: game.getGameState(player.position),
+          action: action,
+          ...result,
+          huInfo: gameData.state === GAME_STATES.FINISHED ? gameData.winDetail : undefined,
+          scoreDetail: gameData.scoreDetail,
+          settlement: gameData.settlement
         }
       });
 
     } catch (error) {
-      logger.error('玩家过牌失败:', error);
-      res.status(500).json({
+      logger.error(`${failureMessage}:`, error);
+      res.status(error.code ? 400 : 500).json({
         success: false,
-        message: error.message || '过牌失败'
+        message: error.message || failureMessage,
+        code: error.code
       });
     }
   }
 
   /**
-   * 执行吃牌操作
+   * 游戏结束后更新房间状态，整场对局结束时推送大结算
    */
-  static executeChiAction(game, playerPosition, cardIds) {
-    const player = game.data.players[playerPosition];
-    const discardedCard = game.data.lastDiscardedCard;
-    
-    // 从手牌中移除相关牌
-    cardIds.forEach(cardId => {
-      if (cardId !== discardedCard) {
-        const index = player.handCards.indexOf(cardId);
-        if (index > -1) {
-          player.handCards.splice(index, 1);
-        }
-      }
-    });
-    
-    // 添加到明牌区
-    player.exposedCards.push({
-      type: 'chi',
-      cards: cardIds,
-      from: game.data.currentPlayer
-    });
-    
-    // 设置当前玩家
-    game.data.currentPlayer = playerPosition;
-  }
+  static async finishRoomGame(gameData, io = null) {
+    if (gameData.state !== GAME_STATES.FINISHED) return;
+
+    const room = await Room.findByRoomId(gameData.roomId);
+    if (room) {
+      const winDetail = gameData.winDetail || {};
+      const scoreDetail = gameData.scoreDetail || {};
+
+      const matchOver = await room.gameFinished({
+        gameId: gameData._id,
+        startTime: gameData.startTime,
+        endTime: gameData.endTime,
+        dealer: gameData.dealer,
+        winner: gameData.winner === undefined ? null : gameData.winner,
+        winType: gameData.winType,
+        pattern: winDetail.pattern,
+        isSelfDraw: Boolean(winDetail.isSelfDraw),
+        from: winDetail.from,
+        fanCount: gameData.fanCount,
+        huCount: gameData.huCount,
+        silver: scoreDetail.silver,
+        scores: gameData.players.map(p => p.score)
+      });
 
-  /**
-   * 执行碰牌操作
-   */
-  static executePengAction(game, playerPosition, cardId) {
-    const player = game.data.players[playerPosition];
-    
-    // 从手牌中移除两张相同的牌
-    let removed = 0;
-    for (let i = player.handCards.length - 1; i >= 0 && removed < 2; i--) {
-      if (player.handCards[i] === cardId) {
-        player.handCards.splice(i, 1);
-        removed++;
-      }
-    }
-    
-    // 添加到明牌区
-    player.exposedCards.push({
-      type: 'peng',
-      cards: [cardId, cardId, cardId],
-      from: game.data.currentPlayer
-    });
-    
-    // 设置当前玩家
-    game.data.currentPlayer = playerPosition;
-  }
+      if (matchOver) {
+        logger.info(`对局结束: 房间 ${gameData.roomId}, 累计得分: ${room.data.match.totalScores.join(',')}`);
 
-  /**
-   * 执行杠牌操作
-   */
-  static executeGangAction(game, playerPosition, gangType, cardId) {
-    const player = game.data.players[playerPosition];
-    
-    if (gangType === 'ming') {
-      // 明杠：从手牌中移除三张相同的牌
-      let removed = 0;
-      for (let i = player.handCards.length - 1; i >= 0 && removed < 3; i--) {
-        if (player.handCards[i] === cardId) {
-          player.handCards.splice(i, 1);
-          removed++;
+        if (io) {
+          SocketHandler.broadcastToRoom(io, gameData.roomId, 'room:final_report', room.data.finalReport);
         }
       }
-      
-      player.exposedCards.push({
-        type: 'gang',
-        cards: [cardId, cardId, cardId, cardId],
-        from: game.data.currentPlayer
-      });
     }
-    
-    // 杠牌后需要补牌
-    if (game.deck.hasCards()) {
-      const newCard = game.deck.drawCard();
-      player.handCards.push(newCard.id);
-    }
-    
-    game.data.currentPlayer = playerPosition;
-  }
-
-  /**
-   * 计算胡牌信息
-   */
-  static calculateHuInfo(game, playerPosition) {
-    const player = game.data.players[playerPosition];
-    
-    // 计算花牌番数
-    const flowerFan = game.calculateFlowerFan(playerPosition);
-    
-    // TODO: 实现完整的胡牌计算逻辑
-    // 这里需要根据宁海麻将规则计算具体的番数和胡数
-    
-    return {
-      winType: '平胡',
-      fanCount: flowerFan,
-      huCount: 30, // 临时值
-      flowerCards: player.flowerCards.length
-    };
-  }
 
-  /**
-   * 根据位置获取风位
-   */
-  static getFengByPosition(position) {
-    const fengs = ['dong', 'nan', 'xi', 'bei'];
-    return fengs[position];
+    const notation = gameData.winDetail ? `, 牌: ${gameData.winDetail.notation}` : '';
+    logger.info(`游戏结束: ${gameData._id}, 胜者: ${gameData.winner}, 类型: ${gameData.winType}${notation}`);
   }
 }
 
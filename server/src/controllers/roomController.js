@@ -0,0 +1,55 @@
+const { Room } = require('../models/Room');
+const logger = require('../utils/logger');
+
+/**
+ * 房间控制器
+ */
+class RoomController {
+
+  /**
+   * 获取整场对局的大结算
+   */
+  static async getFinalReport(req, res) {
+    try {
+      const { roomId } = req.params;
+      const userId = req.user.id;
+
+      const room = await Room.findByRoomId(roomId);
+      if (!room) {
+        return res.status(404).json({
+          success: false,
+          message: '房间不存在'
+        });
+      }
+
+      if (!room.hasPlayer(userId)) {
+        return res.status(403).json({
+          success: false,
+          message: '您不在此房间中'
+        });
+      }
+
+      if (!room.data.finalReport) {
+        return res.status(404).json({
+          success: false,
+          message: '对局尚未结束',
+          code: 'REPORT_NOT_READY'
+        });
+      }
+
+      res.json({
+        success: true,
+        data: room.data.finalReport
+      });
+
+    } catch (error) {
+      logger.error('获取大结算失败:', error);
+      res.status(500).json({
+        success: false,
+        message: '获取大结算失败'
+      });
+    }
+  }
+}
+
+module.exports = RoomController;
@@ -3,6 +3,8 @@
  * 宁海麻将包含：万子、筒子、索子、字牌、花牌
  */
 
+const SeededRandom = require('../utils/seededRandom');
+
 // 牌的类型
 const CARD_TYPES = {
   WAN: 'wan',      // 万子
@@ -47,17 +49,65 @@ const HUA_FENG_MAP = {
   [HUA_CARDS.DONG]: 'bei'    // 冬对应北风
 };
 
+// 数字牌类型（按牌种索引顺序）
+const NUMBER_TYPES = [CARD_TYPES.WAN, CARD_TYPES.TONG, CARD_TYPES.SUO];
+
+// 牌种数量（万筒索各9种 + 字牌7种，不含花牌）
+const TILE_KIND_COUNT = 34;
+
+// 简写记法的花色字母（如 123w456t789s11z1h）
+const NOTATION_SUITS = {
+  w: { type: CARD_TYPES.WAN, max: 9 },
+  t: { type: CARD_TYPES.TONG, max: 9 },
+  s: { type: CARD_TYPES.SUO, max: 9 },
+  z: { type: CARD_TYPES.ZI, max: 7 },
+  h: { type: CARD_TYPES.HUA, max: 8 }
+};
+
+// 花色对应的简写字母
+const NOTATION_LETTERS = Object.fromEntries(
+  Object.entries(NOTATION_SUITS).map(([letter, suit]) => [suit.type, letter])
+);
+
+// 花牌名称（按花牌值排列）
+const HUA_NAMES = ['', '梅', '兰', '菊', '竹', '春', '夏', '秋', '冬'];
+
+// 完整手牌记法的标签，如 "123w456t11z [789s] (2222w) 胡:1z 花:梅兰"
+const NOTATION_LABELS = {
+  WIN: '胡',
+  FLOWER: '花'
+};
+
+// 牌组类型（吃碰杠）
+const MELD_TYPES = {
+  CHI: 'chi',      // 吃（顺子）
+  PENG: 'peng',    // 碰（刻子）
+  GANG: 'gang'     // 杠
+};
+
 class Card {
-  constructor(type, value) {
+  /**
+   * @param {number|null} copy 同一种牌的第几张（0-3，花牌为0），为空时表示只区分牌种
+   */
+  constructor(type, value, copy = null) {
     this.type = type;
     this.value = value;
+    this.copy = copy;
     this.id = this.generateId();
   }
 
   /**
-   * 生成牌的唯一标识
+   * 生成牌的唯一标识（如 wan_5#2），未指定第几张时为牌种标识（如 wan_5）
    */
   generateId() {
+    const kindId = this.getKindId();
+    return this.copy === null ? kindId : `${kindId}#${this.copy}`;
+  }
+
+  /**
+   * 获取牌种标识（同种的四张牌相同）
+   */
+  getKindId() {
     return `${this.type}_${this.value}`;
   }
 
@@ -105,6 +155,16 @@ class Card {
     return HUA_FENG_MAP[this.value] || null;
   }
 
+  /**
+   * 获取牌种索引（万0-8，筒9-17，索18-26，字27-33，花牌为-1）
+   */
+  getTileIndex() {
+    if (this.isHonor()) return 27 + this.value - 1;
+    const suitIndex = NUMBER_TYPES.indexOf(this.type);
+    if (suitIndex === -1) return -1;
+    return suitIndex * 9 + this.value - 1;
+  }
+
   /**
    * 判断两张牌是否相同
    */
@@ -146,8 +206,7 @@ class Card {
     }
 
     if (this.type === CARD_TYPES.HUA) {
-      const huaNames = ['', '梅', '兰', '菊', '竹', '春', '夏', '秋', '冬'];
-      return huaNames[this.value] || '';
+      return HUA_NAMES[this.value] || '';
     }
 
     return `${this.value}${typeNames[this.type]}`;
@@ -161,6 +220,7 @@ class Card {
       id: this.id,
       type: this.type,
       value: this.value,
+      copy: this.copy,
       displayName: this.getDisplayName()
     };
   }
@@ -169,7 +229,294 @@ class Card {
    * 从JSON对象创建Card实例
    */
   static fromJSON(json) {
-    return new Card(json.type, json.value);
+    return new Card(json.type, json.value, json.copy === undefined ? null : json.copy);
+  }
+
+  /**
+   * 从牌ID创建Card实例（支持 wan_5#2 和 wan_5 两种形式）
+   */
+  static fromId(cardId) {
+    const [kindId, copy] = cardId.split('#');
+    const [type, value] = kindId.split('_');
+    return new Card(type, parseInt(value), copy === undefined ? null : parseInt(copy));
+  }
+
+  /**
+   * 由牌ID直接取牌种索引（按牌种缓存，不创建Card实例），花牌为-1
+   */
+  static getTileIndexById(cardId) {
+    const kindId = cardId.split('#')[0];
+    let index = TILE_INDEX_CACHE.get(kindId);
+    if (index === undefined) {
+      index = Card.fromId(kindId).getTileIndex();
+      TILE_INDEX_CACHE.set(kindId, index);
+    }
+    return index;
+  }
+
+  /**
+   * 判断两个牌ID是否为同一种牌
+   */
+  static isSameKind(cardId, otherId) {
+    return cardId.split('#')[0] === otherId.split('#')[0];
+  }
+
+  /**
+   * 从牌种索引创建Card实例
+   */
+  static fromTileIndex(index) {
+    if (index >= 27) return new Card(CARD_TYPES.ZI, index - 27 + 1);
+    return new Card(NUMBER_TYPES[Math.floor(index / 9)], index % 9 + 1);
+  }
+
+  /**
+   * 解析简写记法，数字在前、花色字母在后（w万 t筒 s索 z字 h花），如 123w456t11z
+   * @returns {string[]} 牌种标识数组
+   */
+  static parseTiles(notation = '') {
+    const text = notation.replace(/\s+/g, '');
+    const cardIds = [];
+    let consumed = 0;
+
+    for (const match of text.matchAll(/(\d+)([a-z])/g)) {
+      if (match.index !== consumed) break;
+      consumed += match[0].length;
+
+      const suit = NOTATION_SUITS[match[2]];
+      if (!suit) {
+        throw new Error(`无效的花色: ${match[2]}`);
+      }
+
+      for (const digit of match[1]) {
+        const value = parseInt(digit);
+        if (value < 1 || value > suit.max) {
+          throw new Error(`无效的牌: ${digit}${match[2]}`);
+        }
+        cardIds.push(new Card(suit.type, value).id);
+      }
+    }
+
+    if (consumed !== text.length) {
+      throw new Error(`无法解析的记法: ${notation}`);
+    }
+
+    return cardIds;
+  }
+
+  /**
+   * 解析完整手牌记法，各部分用空格分隔：
+   * 暗牌 123w456t11z，明牌组 [789s]，暗杠 (2222w)，胡的牌 胡:1z，花牌 花:梅兰（也可写作 花:12h）
+   * @returns {Object} { handCards, melds, flowerCards, winningCard }，牌均为牌种标识
+   */
+  static parseHand(notation = '') {
+    const result = { handCards: [], melds: [], flowerCards: [], winningCard: null };
+    const tokens = notation.trim().split(/\s+/).filter(Boolean);
+
+    tokens.forEach(token => {
+      const labelMatch = token.match(/^(\S)[:：](.*)$/);
+      if (labelMatch && labelMatch[1] === NOTATION_LABELS.WIN) {
+        const tiles = this.parseTiles(labelMatch[2]);
+        if (tiles.length !== 1) {
+          throw new Error(`胡的牌只能有一张: ${token}`);
+        }
+        result.winningCard = tiles[0];
+        return;
+      }
+
+      if (labelMatch && labelMatch[1] === NOTATION_LABELS.FLOWER) {
+        result.flowerCards.push(...this.parseFlowers(labelMatch[2]));
+        return;
+      }
+
+      const meldMatch = token.match(/^([[(])(.*)([\])])$/);
+      if (meldMatch) {
+        const concealed = meldMatch[1] === '(';
+        if (concealed !== (meldMatch[3] === ')')) {
+          throw new Error(`括号不匹配: ${token}`);
+        }
+        result.melds.push(this.parseMeld(meldMatch[2], concealed));
+        return;
+      }
+
+      result.handCards.push(...this.parseTiles(token));
+    });
+
+    return result;
+  }
+
+  /**
+   * 解析花牌，支持花牌名称（梅兰菊竹春夏秋冬）或简写记法（12h）
+   */
+  static parseFlowers(text) {
+    if (/^\d/.test(text)) {
+      const cardIds = this.parseTiles(text);
+      if (cardIds.some(cardId => !Card.fromId(cardId).isFlower())) {
+        throw new Error(`不是花牌: ${text}`);
+      }
+      return cardIds;
+    }
+
+    return [...text].map(name => {
+      const value = HUA_NAMES.indexOf(name);
+      if (value < 1) {
+        throw new Error(`无效的花牌: ${name}`);
+      }
+      return new Card(CARD_TYPES.HUA, value).id;
+    });
+  }
+
+  /**
+   * 解析一个牌组：三张相同为碰，三张连续为吃，四张相同为杠；暗牌组只能是暗杠
+   */
+  static parseMeld(text, concealed = false) {
+    const cardIds = this.parseTiles(text);
+    const cards = cardIds.map(cardId => Card.fromId(cardId));
+    const allSame = cards.every(card => card.equals(cards[0]));
+
+    let type = null;
+    if (cards.length === 4 && allSame) {
+      type = MELD_TYPES.GANG;
+    } else if (cards.length === 3 && allSame) {
+      type = MELD_TYPES.PENG;
+    } else if (cards.length === 3 && cards[0].canFormSequence(cards[1], cards[2])) {
+      type = MELD_TYPES.CHI;
+    }
+
+    if (!type || (concealed && type !== MELD_TYPES.GANG)) {
+      throw new Error(`无效的牌组: ${text}`);
+    }
+
+    return { type, cards: cardIds, concealed };
+  }
+
+  /**
+   * 将牌格式化为简写记法，按万筒索字花排序，同花色的数字合并，如 123w456t11z
+   */
+  static formatTiles(cardIds = []) {
+    const order = card => (card.isFlower() ? TILE_KIND_COUNT + card.value : card.getTileIndex());
+    const cards = cardIds.map(cardId => Card.fromId(cardId)).sort((a, b) => order(a) - order(b));
+
+    let notation = '';
+    let digits = '';
+    let letter = null;
+
+    cards.forEach(card => {
+      const cardLetter = NOTATION_LETTERS[card.type];
+      if (letter !== null && cardLetter !== letter) {
+        notation += `${digits}${letter}`;
+        digits = '';
+      }
+      letter = cardLetter;
+      digits += card.value;
+    });
+
+    return letter === null ? notation : `${notation}${digits}${letter}`;
+  }
+
+  /**
+   * 将手牌格式化为完整记法，可用 parseHand 解析回来
+   * @param {Object} hand { handCards, melds, flowerCards, winningCard }
+   */
+  static formatHand({ handCards = [], melds = [], flowerCards = [], winningCard = null } = {}) {
+    const parts = [];
+
+    if (handCards.length > 0) {
+      parts.push(this.formatTiles(handCards));
+    }
+
+    melds.forEach(meld => {
+      const tiles = this.formatTiles(meld.cards);
+      parts.push(meld.concealed ? `(${tiles})` : `[${tiles}]`);
+    });
+
+    if (winningCard) {
+      parts.push(`${NOTATION_LABELS.WIN}:${this.formatTiles([winningCard])}`);
+    }
+
+    if (flowerCards.length > 0) {
+      const names = flowerCards
+        .map(cardId => Card.fromId(cardId))
+        .sort((a, b) => a.value - b.value)
+        .map(card => HUA_NAMES[card.value])
+        .join('');
+      parts.push(`${NOTATION_LABELS.FLOWER}:${names}`);
+    }
+
+    return parts.join(' ');
+  }
+}
+
+/**
+ * 每家门前牌墙的墩数（144张牌，每墩两张）
+ */
+const WALL_STACKS_PER_SIDE = 18;
+
+// 牌种标识到牌种索引的缓存
+const TILE_INDEX_CACHE = new Map();
+
+/**
+ * 手牌计数：34种牌各有几张 + 花牌位图（第 value-1 位表示有这张花）
+ * 由 Game 在每次摸牌、出牌、吃碰杠时同步更新，供规则判断直接查表
+ */
+class HandCounts {
+  constructor() {
+    this.counts = new Array(TILE_KIND_COUNT).fill(0);
+    this.flowerMask = 0;
+  }
+
+  /**
+   * 由手牌和花牌构建
+   */
+  static fromCards(handCards = [], flowerCards = []) {
+    const handCounts = new HandCounts();
+    handCards.forEach(cardId => handCounts.add(cardId));
+    flowerCards.forEach(cardId => handCounts.addFlower(cardId));
+    return handCounts;
+  }
+
+  /**
+   * 手牌加一张（补花前暂留手中的花牌不计数）
+   */
+  add(cardId) {
+    const index = Card.getTileIndexById(cardId);
+    if (index >= 0) this.counts[index]++;
+  }
+
+  /**
+   * 手牌减一张
+   */
+  remove(cardId) {
+    const index = Card.getTileIndexById(cardId);
+    if (index >= 0 && this.counts[index] > 0) this.counts[index]--;
+  }
+
+  /**
+   * 记录一张花牌
+   */
+  addFlower(cardId) {
+    this.flowerMask |= 1 << (Card.fromId(cardId).value - 1);
+  }
+
+  /**
+   * 某种牌在手中的张数
+   */
+  count(index) {
+    return index >= 0 ? this.counts[index] : 0;
+  }
+
+  /**
+   * 是否有这张花牌
+   */
+  hasFlower(value) {
+    return (this.flowerMask & (1 << (value - 1))) !== 0;
+  }
+
+  /**
+   * 与另一份计数是否一致
+   */
+  equals(other) {
+    return this.flowerMask === other.flowerMask &&
+      this.counts.every((count, index) => count === other.counts[index]);
   }
 }
 
@@ -192,7 +539,7 @@ class CardDeck {
     [CARD_TYPES.WAN, CARD_TYPES.TONG, CARD_TYPES.SUO].forEach(type => {
       for (let value = 1; value <= 9; value++) {
         for (let i = 0; i < 4; i++) {
-          this.cards.push(new Card(type, value));
+          this.cards.push(new Card(type, value, i));
         }
       }
     });
@@ -200,33 +547,101 @@ class CardDeck {
     // 字牌28张（东南西北中发白各4张）
     for (let value = 1; value <= 7; value++) {
       for (let i = 0; i < 4; i++) {
-        this.cards.push(new Card(CARD_TYPES.ZI, value));
+        this.cards.push(new Card(CARD_TYPES.ZI, value, i));
       }
     }
 
     // 花牌8张（梅兰菊竹春夏秋冬各1张）
     for (let value = 1; value <= 8; value++) {
-      this.cards.push(new Card(CARD_TYPES.HUA, value));
+      this.cards.push(new Card(CARD_TYPES.HUA, value, 0));
     }
   }
 
   /**
-   * 洗牌
+   * 用已保存的牌ID数组还原牌堆（数组末尾为牌头）
+   */
+  static fromCardIds(cardIds) {
+    const deck = new CardDeck();
+    deck.cards = cardIds.map(cardId => Card.fromId(cardId));
+    return deck;
+  }
+
+  /**
+   * 按种子重新推算开牌后的牌墙，用于公布种子后核对洗牌
+   * @returns {string[]} 牌ID数组（数组末尾为牌头）
+   */
+  static deriveWall(seed, breakIndex) {
+    const deck = new CardDeck();
+    deck.shuffle(new SeededRandom(seed, 'shuffle'));
+    deck.breakWall(breakIndex);
+    return deck.cards.map(card => card.id);
+  }
+
+  /**
+   * 洗牌（Fisher-Yates），默认使用随机种子
+   * @param {SeededRandom} random 随机数生成器
    */
-  shuffle() {
+  shuffle(random = new SeededRandom(SeededRandom.generateSeed())) {
     for (let i = this.cards.length - 1; i > 0; i--) {
-      const j = Math.floor(Math.random() * (i + 1));
+      const j = random.nextInt(i + 1);
       [this.cards[i], this.cards[j]] = [this.cards[j], this.cards[i]];
     }
   }
 
   /**
-   * 摸牌
+   * 开牌：从牌墙第 breakIndex 张处分开，之后从这里往后摸牌，另一端为牌尾
+   */
+  breakWall(breakIndex) {
+    const total = this.cards.length;
+    const index = ((breakIndex % total) + total) % total;
+    const ordered = [...this.cards.slice(index), ...this.cards.slice(0, index)];
+
+    // 摸牌从数组末尾取，补牌从数组开头取
+    this.cards = ordered.reverse();
+  }
+
+  /**
+   * 从牌堆中取出指定牌种的牌（每种取任意一张）
+   * @param {string[]} kindIds 牌种标识数组
+   * @returns {Card[]}
+   */
+  takeCards(kindIds) {
+    return kindIds.map(kindId => {
+      const index = this.cards.findIndex(card => Card.isSameKind(card.id, kindId));
+      if (index === -1) {
+        throw new Error(`牌堆中没有足够的牌: ${kindId}`);
+      }
+      return this.cards.splice(index, 1)[0];
+    });
+  }
+
+  /**
+   * 指定牌头接下来摸到的牌和牌尾补到的牌，其余的牌保持原顺序放在中间（开发测试用）
+   * @param {string[]} headKinds 从牌头依次摸到的牌种
+   * @param {string[]} tailKinds 从牌尾依次补到的牌种
+   */
+  stack(headKinds = [], tailKinds = []) {
+    const head = this.takeCards(headKinds);
+    const tail = this.takeCards(tailKinds);
+
+    // 摸牌从数组末尾取，补牌从数组开头取
+    this.cards = [...tail, ...this.cards, ...head.reverse()];
+  }
+
+  /**
+   * 摸牌（从牌头摸）
    */
   drawCard() {
     return this.cards.pop();
   }
 
+  /**
+   * 从牌尾补牌（杠牌、补花）
+   */
+  drawFromTail() {
+    return this.cards.shift();
+  }
+
   /**
    * 摸多张牌
    */
@@ -256,8 +671,13 @@ class CardDeck {
 module.exports = {
   Card,
   CardDeck,
+  HandCounts,
   CARD_TYPES,
   ZI_CARDS,
   HUA_CARDS,
-  HUA_FENG_MAP
+  HUA_FENG_MAP,
+  NUMBER_TYPES,
+  TILE_KIND_COUNT,
+  MELD_TYPES,
+  WALL_STACKS_PER_SIDE
 };
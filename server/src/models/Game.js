@@ -1,5 +1,12 @@
 const mongoose = require('mongoose');
-const { Card, CardDeck, CARD_TYPES, HUA_CARDS } = require('./Card');
+const { Card, CardDeck, HandCounts, CARD_TYPES, HUA_CARDS, MELD_TYPES, WALL_STACKS_PER_SIDE } = require('./Card');
+const WinChecker = require('../services/winChecker');
+const { HuCalculator } = require('../services/huCalculator');
+const { FanCalculator } = require('../services/fanCalculator');
+const { ScoreCalculator } = require('../services/scoreCalculator');
+const SeededRandom = require('../utils/seededRandom');
+const { SanTanChecker } = require('../services/sanTanChecker');
+const { ShantenCalculator } = require('../services/shantenCalculator');
 
 /**
  * 游戏状态枚举
@@ -25,6 +32,89 @@ const PLAYER_ACTIONS = {
   PASS: 'pass'             // 过
 };
 
+/**
+ * 杠牌类型枚举
+ */
+const GANG_TYPES = {
+  MING: 'ming',    // 明杠（杠别人打出的牌）
+  AN: 'an',        // 暗杠（手中四张）
+  JIA: 'jia'       // 加杠（碰后摸到第四张）
+};
+
+/**
+ * 抢牌窗口类型枚举
+ */
+const CLAIM_KINDS = {
+  DISCARD: 'discard',         // 出牌后吃碰杠胡
+  QIANG_GANG: 'qiang_gang'    // 加杠时抢杠胡
+};
+
+/**
+ * 特殊胡牌类型
+ */
+const WIN_TYPES = {
+  LIU_JU: '流局',             // 牌摸到底无人胡牌
+  ZI_MO: '自摸',
+  QIANG_GANG_HU: '抢杠胡',
+  GANG_SHANG_KAI_HUA: '杠上开花'
+};
+
+/**
+ * 摸牌来源枚举
+ */
+const DRAW_SOURCES = {
+  WALL: 'wall',       // 正常从牌头摸牌
+  GANG: 'gang',       // 杠后从牌尾补牌
+  FLOWER: 'flower'    // 补花从牌尾补牌
+};
+
+/**
+ * 流局时保留的墩数（倒数9墩流局，每一杠多留一墩）
+ */
+const RESERVED_STACKS = 9;
+
+/**
+ * 第一圈只能打出的牌（筒子、万子）
+ */
+const FIRST_LAP_DISCARD_TYPES = [CARD_TYPES.TONG, CARD_TYPES.WAN];
+
+/**
+ * 吃牌组合：被吃的牌在顺子中的位置（头、中、尾）
+ */
+const CHI_TYPES = {
+  LOW: 'low',       // 吃头，如 3 吃 45
+  MIDDLE: 'middle', // 吃中，如 4 吃 35
+  HIGH: 'high'      // 吃尾，如 5 吃 34
+};
+
+/**
+ * 各吃牌组合需要的两张手牌相对被吃牌的偏移
+ */
+const CHI_SHAPES = [
+  { type: CHI_TYPES.LOW, offsets: [1, 2] },
+  { type: CHI_TYPES.MIDDLE, offsets: [-1, 1] },
+  { type: CHI_TYPES.HIGH, offsets: [-2, -1] }
+];
+
+/**
+ * 抢牌优先级（胡 > 杠 > 碰 > 吃）
+ */
+const CLAIM_PRIORITY = {
+  [PLAYER_ACTIONS.HU]: 4,
+  [PLAYER_ACTIONS.GANG]: 3,
+  [PLAYER_ACTIONS.PENG]: 2,
+  [PLAYER_ACTIONS.CHI]: 1
+};
+
+/**
+ * 创建带错误码的游戏错误
+ */
+const createGameError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
 /**
  * 风位枚举
  */
@@ -45,6 +135,88 @@ const GAME_MODES = {
   YAO_ER_LIU: 'yao_er_liu'       // 幺二六（100胡底）
 };
 
+/**
+ * 抢牌窗口Schema（出牌后等待其他玩家吃碰杠胡或过）
+ */
+const claimWindowSchema = new mongoose.Schema({
+  kind: {                     // 窗口类型（出牌、抢杠）
+    type: String,
+    enum: Object.values(CLAIM_KINDS),
+    default: CLAIM_KINDS.DISCARD
+  },
+  cardId: String,             // 被抢的牌
+  discarder: Number,          // 出牌（或加杠）玩家位置
+  deadline: Date,             // 超时时间，超时未响应视为过
+  eligible: [{                // 可以抢牌的玩家及其可选动作
+    position: Number,
+    actions: [String]
+  }],
+  responses: [{               // 已响应的玩家
+    position: Number,
+    action: String,
+    cards: [String]
+  }]
+}, { _id: false });
+
+/**
+ * 最近一次摸牌Schema
+ */
+const lastDrawSchema = new mongoose.Schema({
+  player: Number,             // 摸牌玩家位置
+  cardId: String,             // 进入手牌的牌
+  source: {                   // 摸牌来源
+    type: String,
+    enum: Object.values(DRAW_SOURCES)
+  }
+}, { _id: false });
+
+/**
+ * 掷骰子记录Schema
+ */
+const diceRollSchema = new mongoose.Schema({
+  roller: Number,             // 掷骰子的玩家位置
+  purpose: {                  // dealer 定庄，break 开牌
+    type: String,
+    enum: ['dealer', 'break']
+  },
+  values: [Number],           // 两颗骰子的点数
+  total: Number
+}, { _id: false });
+
+/**
+ * 骰子与开牌位置Schema
+ */
+const diceSchema = new mongoose.Schema({
+  rolls: [diceRollSchema],
+  dealer: Number,             // 定出的庄家
+  breakPlayer: Number,        // 第二次掷骰子的玩家，从他门前的牌墙开牌
+  breakCount: Number,         // 两次开牌点数之和C
+  breakIndex: Number          // 开牌处在整圈牌墙中的位置（张）
+}, { _id: false });
+
+/**
+ * 洗牌证明Schema：发牌时公布种子的哈希，本局结束后公布种子
+ */
+const shuffleProofSchema = new mongoose.Schema({
+  algorithm: String,          // 洗牌算法
+  commitment: String,         // 种子的 SHA-256
+  seed: String,               // 种子，本局结束前不对外返回
+  revealedAt: Date            // 公布种子的时间
+}, { _id: false });
+
+/**
+ * 包牌记录Schema（三摊时未听牌的玩家打出了不能打的牌）
+ */
+const liabilitySchema = new mongoose.Schema({
+  offender: Number,           // 打出这张牌的玩家位置
+  sanTanPlayer: Number,       // 构成三摊的玩家位置
+  cardId: String,
+  timestamp: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
 /**
  * 游戏Schema
  */
@@ -74,11 +246,17 @@ const gameSchema = new mongoose.Schema({
     handCards: [String],      // 手牌ID数组
     discardedCards: [String], // 打出的牌
     exposedCards: [{          // 明牌（吃碰杠）
-      type: String,           // chi, peng, gang
+      type: { type: String }, // chi, peng, gang
       cards: [String],        // 牌ID数组
-      from: Number            // 来源玩家位置
+      from: Number,           // 来源玩家位置
+      concealed: {            // 是否为暗杠（对其他玩家隐藏）
+        type: Boolean,
+        default: false
+      }
     }],
     flowerCards: [String],    // 花牌
+    availableActions: [String], // 当前可执行的动作（抢牌或摸牌后胡）
+    lastDrawnCard: String,    // 最近一次摸到的牌
     isReady: {
       type: Boolean,
       default: false
@@ -102,6 +280,14 @@ const gameSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  dice: {                     // 掷骰子定庄和开牌
+    type: diceSchema,
+    default: null
+  },
+  shuffleProof: {             // 洗牌证明
+    type: shuffleProofSchema,
+    default: null
+  },
   dealer: {
     type: Number,
     default: 0
@@ -110,16 +296,36 @@ const gameSchema = new mongoose.Schema({
     type: Number,
     default: 1
   },
-  deck: [String],             // 牌堆
+  deck: [String],             // 开牌后的整圈牌墙（数组末尾为牌头，开头为牌尾）
+  headDrawCount: {            // 从牌头摸走的张数
+    type: Number,
+    default: 0
+  },
+  tailDrawCount: {            // 从牌尾补牌的张数
+    type: Number,
+    default: 0
+  },
   lastDiscardedCard: String,  // 最后打出的牌
+  lastDraw: {                 // 最近一次摸牌
+    type: lastDrawSchema,
+    default: null
+  },
   lastAction: {
     type: String,
     enum: Object.values(PLAYER_ACTIONS)
   },
+  claimWindow: {
+    type: claimWindowSchema,
+    default: null
+  },
+  lastClaimResult: mongoose.Schema.Types.Mixed, // 最近一次抢牌裁决结果
+  liabilities: [liabilitySchema], // 包牌记录
   gameHistory: [{
     player: Number,
     action: String,
     cards: [String],
+    gangType: String,         // 杠牌类型（ming, an, jia）
+    winType: String,          // 胡牌类型
     timestamp: {
       type: Date,
       default: Date.now
@@ -133,6 +339,14 @@ const gameSchema = new mongoose.Schema({
     timeLimit: {
       type: Number,
       default: 30  // 秒
+    },
+    firstLapRestriction: {    // 第一圈只打筒万、不能吃碰杠
+      type: Boolean,
+      default: true
+    },
+    discardAdvice: {          // 允许玩家使用出牌建议
+      type: Boolean,
+      default: false
     }
   },
   startTime: Date,
@@ -140,7 +354,10 @@ const gameSchema = new mongoose.Schema({
   winner: Number,
   winType: String,
   fanCount: Number,
-  huCount: Number
+  huCount: Number,
+  winDetail: mongoose.Schema.Types.Mixed,   // 胡牌明细（番数、胡数项）
+  scoreDetail: mongoose.Schema.Types.Mixed, // 计分明细（按计分模式）
+  settlement: mongoose.Schema.Types.Mixed   // 结算矩阵（谁付给谁多少）
 }, {
   timestamps: true
 });
@@ -151,13 +368,77 @@ const gameSchema = new mongoose.Schema({
 class Game {
   constructor(gameData) {
     this.data = gameData;
-    this.deck = new CardDeck();
+    this.deck = this.restoreWall();
+    this.rebuildHandCounts();
+  }
+
+  /**
+   * 按当前手牌重建每个玩家的手牌计数
+   */
+  rebuildHandCounts() {
+    this.handCounts = (this.data.players || []).map(player =>
+      HandCounts.fromCards(player.handCards, player.flowerCards));
+  }
+
+  /**
+   * 手牌加一张并同步计数
+   */
+  addToHand(playerPosition, cardId) {
+    this.data.players[playerPosition].handCards.push(cardId);
+    this.handCounts[playerPosition].add(cardId);
+  }
+
+  /**
+   * 按位置从手牌移除一张并同步计数
+   * @returns {string} 移除的牌ID
+   */
+  removeFromHand(playerPosition, index) {
+    const [cardId] = this.data.players[playerPosition].handCards.splice(index, 1);
+    this.handCounts[playerPosition].remove(cardId);
+    return cardId;
+  }
+
+  /**
+   * 按保存的牌墙和两端已摸走的张数还原剩余牌堆
+   * 还没有洗牌开牌的游戏返回新牌堆
+   */
+  restoreWall() {
+    const wall = this.data.deck || [];
+    if (wall.length === 0) {
+      return new CardDeck();
+    }
+
+    const head = this.data.headDrawCount || 0;
+    const tail = this.data.tailDrawCount || 0;
+    return CardDeck.fromCardIds(wall.slice(tail, Math.max(tail, wall.length - head)));
   }
 
   /**
    * 初始化游戏
+   * 洗牌和掷骰子都由同一个种子推算，发牌时只公布种子的哈希
+   * @param {number|null} dealer 庄家位置，为空时掷骰子定庄
+   * @param {Object} options { seed, roller } seed 为指定种子（仅开发测试环境使用），roller 为定庄时掷骰子的座位
    */
-  initialize(players, mode = GAME_MODES.YAO_BAN_SAN) {
+  initialize(players, mode = GAME_MODES.YAO_BAN_SAN, dealer = null, options = {}) {
+    const seed = options.seed || SeededRandom.generateSeed();
+
+    this.data.mode = mode;
+    this.data.state = GAME_STATES.STARTING;
+    this.data.startTime = new Date();
+    this.data.dice = { rolls: [] };
+    this.data.shuffleProof = {
+      algorithm: 'hmac-sha256-fisher-yates',
+      commitment: SeededRandom.hashSeed(seed),
+      seed,
+      revealedAt: null
+    };
+    this.diceRandom = new SeededRandom(seed, 'dice');
+
+    this.data.dealer = dealer === null ? this.rollForDealer(options.roller || 0) : dealer;
+    this.data.dice.dealer = this.data.dealer;
+    this.data.currentPlayer = this.data.dealer;
+
+    // 风位随庄家轮转，庄家为东风
     this.data.players = players.map((player, index) => ({
       userId: player.userId,
       position: index,
@@ -169,43 +450,201 @@ class Game {
       isReady: false,
       score: 0
     }));
-
-    this.data.mode = mode;
-    this.data.state = GAME_STATES.STARTING;
-    this.data.currentPlayer = this.data.dealer;
+    this.rebuildHandCounts();
     
-    // 洗牌
-    this.deck.shuffle();
+    // 洗牌后按骰子点数开牌
+    this.deck = new CardDeck();
+    this.deck.shuffle(new SeededRandom(seed, 'shuffle'));
+    this.deck.breakWall(this.rollForWallBreak());
     this.data.deck = this.deck.cards.map(card => card.id);
+    this.data.headDrawCount = 0;
+    this.data.tailDrawCount = 0;
+  }
+
+  /**
+   * 掷两颗骰子并记录
+   */
+  rollDice(roller, purpose) {
+    const values = [0, 0].map(() => this.diceRandom.nextInt(6) + 1);
+    const roll = { roller, purpose, values, total: values[0] + values[1] };
+    this.data.dice.rolls.push(roll);
+    return roll;
+  }
+
+  /**
+   * 掷骰子定庄：从掷的人开始逆时针数到点数A的人为庄家
+   * @param {number} roller 掷骰子的座位（如房主）
+   */
+  rollForDealer(roller) {
+    const roll = this.rollDice(roller, 'dealer');
+    return (roller + roll.total - 1) % 4;
+  }
+
+  /**
+   * 掷骰子定开牌位置
+   * 庄家掷出B，从庄家数B次数出一人再掷，两次点数之和为C，
+   * 按规则文档从第二次掷骰子的玩家门前的牌墙数C张开牌
+   * @returns {number} 开牌处在整圈牌墙中的位置（张）
+   */
+  rollForWallBreak() {
+    const dealer = this.data.dealer;
+    const first = this.rollDice(dealer, 'break');
+    const breakPlayer = (dealer + first.total - 1) % 4;
+    const second = this.rollDice(breakPlayer, 'break');
+    const breakCount = first.total + second.total;
+    const breakIndex = breakPlayer * WALL_STACKS_PER_SIDE * 2 + breakCount;
+
+    Object.assign(this.data.dice, { breakPlayer, breakCount, breakIndex });
+    return breakIndex;
   }
 
   /**
-   * 根据位置获取风位
+   * 根据位置获取风位（相对庄家，庄家为东风）
    */
   getFengByPosition(position) {
     const fengs = [FENG_POSITIONS.DONG, FENG_POSITIONS.NAN, FENG_POSITIONS.XI, FENG_POSITIONS.BEI];
-    return fengs[position];
+    return fengs[(position - (this.data.dealer || 0) + 4) % 4];
   }
 
   /**
    * 发牌
+   * @param {Object|null} stack 指定牌局（仅开发测试用），见 stackDeck
    */
-  dealCards() {
+  dealCards(stack = null) {
     this.data.state = GAME_STATES.DEALING;
 
-    // 每人发13张牌，庄家14张
-    this.data.players.forEach((player, index) => {
-      const cardCount = index === this.data.dealer ? 14 : 13;
-      const cards = this.deck.drawCards(cardCount);
-      player.handCards = cards.map(card => card.id);
+    const stackedHands = stack ? this.stackDeck(stack) : null;
+    if (stackedHands) {
+      this.data.players.forEach((player, index) => {
+        player.handCards = stackedHands[index];
+      });
+      this.handleFlowerCards();
+      this.rebuildHandCounts();
+      this.markDealerDraw();
+      this.data.state = GAME_STATES.PLAYING;
+      return;
+    }
+
+    // 从庄家开始抓牌：每人三轮各抓4张，再各抓1张，庄家多抓1张
+    const dealer = this.data.dealer;
+    const order = [0, 1, 2, 3].map(offset => this.data.players[(dealer + offset) % 4]);
+    order.forEach(player => {
+      player.handCards = [];
     });
 
+    const deal = (player, count) => {
+      for (let i = 0; i < count && this.deck.hasCards(); i++) {
+        player.handCards.push(this.drawFromHead().id);
+      }
+    };
+
+    for (let round = 0; round < 3; round++) {
+      order.forEach(player => deal(player, 4));
+    }
+    order.forEach(player => deal(player, 1));
+    deal(order[0], 1);
+
     // 处理花牌补牌
     this.handleFlowerCards();
+    this.rebuildHandCounts();
+    this.markDealerDraw();
     
     this.data.state = GAME_STATES.PLAYING;
   }
 
+  /**
+   * 发牌和补花结束后，庄家手中最后一张牌视为刚摸到的牌，起手就胡时可以直接胡
+   */
+  markDealerDraw() {
+    const dealer = this.data.dealer;
+    const player = this.data.players[dealer];
+    const cardId = player.handCards[player.handCards.length - 1];
+    if (!cardId) return;
+
+    player.lastDrawnCard = cardId;
+    this.data.lastDraw = {
+      player: dealer,
+      cardId,
+      source: player.flowerCards.length > 0 ? DRAW_SOURCES.FLOWER : DRAW_SOURCES.WALL
+    };
+    player.availableActions = this.canHu(dealer) ? [PLAYER_ACTIONS.HU] : [];
+  }
+
+  /**
+   * 确定摆牌牌局的庄家：优先使用 stack.dealer，否则取 hands 中唯一有14张牌的座位
+   * @param {Object} stack { hands, dealer }
+   * @returns {number|null} 庄家座位，无法确定时返回 null（由骰子决定）
+   */
+  static getStackDealer({ hands = null, dealer = null } = {}) {
+    if (dealer !== null && dealer !== undefined) {
+      if (!Number.isInteger(dealer) || dealer < 0 || dealer > 3) {
+        throw createGameError('庄家座位无效', 'INVALID_STACK');
+      }
+      return dealer;
+    }
+
+    if (!Array.isArray(hands)) return null;
+
+    let counts;
+    try {
+      counts = hands.map(notation => Card.parseTiles(notation).length);
+    } catch (error) {
+      throw createGameError(error.message, 'INVALID_STACK');
+    }
+
+    const dealerSeats = counts
+      .map((count, position) => (count === 14 ? position : -1))
+      .filter(position => position >= 0);
+
+    return dealerSeats.length === 1 ? dealerSeats[0] : null;
+  }
+
+  /**
+   * 按简写记法摆牌（开发测试用）
+   * hands 为按座位的起手牌（庄家14张，其他13张），wall 为发完牌后从牌头依次摸到的牌，
+   * 没有指定 hands 时 wall 从第一张发牌开始算；tail 为从牌尾依次补到的牌，其余的牌随机
+   * 庄家须在 initialize 时按 getStackDealer 指定
+   * @param {Object} stack { hands, wall, tail }
+   * @returns {Array|null} 每个座位的起手牌ID，没有指定 hands 时为 null
+   */
+  stackDeck({ hands = null, wall = '', tail = '' }) {
+    let handCards = null;
+
+    try {
+      if (hands) {
+        if (hands.length !== this.data.players.length) {
+          throw new Error('需要为每个座位指定起手牌');
+        }
+
+        handCards = hands.map((notation, position) => {
+          const kinds = Card.parseTiles(notation);
+          const expected = position === this.data.dealer ? 14 : 13;
+          if (kinds.length !== expected) {
+            throw new Error(`座位${position}起手牌应为${expected}张`);
+          }
+          return this.deck.takeCards(kinds).map(card => card.id);
+        });
+      }
+
+      this.deck.stack(Card.parseTiles(wall), Card.parseTiles(tail));
+    } catch (error) {
+      throw createGameError(error.message, 'INVALID_STACK');
+    }
+
+    // 摆过的牌局不能用种子复现，按摆好的牌墙重新记录
+    this.data.deck = this.deck.cards.map(card => card.id);
+    this.data.headDrawCount = 0;
+    this.data.tailDrawCount = 0;
+    this.data.shuffleProof = {
+      algorithm: 'stacked',
+      commitment: null,
+      seed: null,
+      revealedAt: null
+    };
+
+    return handCards;
+  }
+
   /**
    * 处理花牌补牌
    */
@@ -239,9 +678,10 @@ class Game {
           player.flowerCards.push(...flowerCards);
           player.handCards = remainingCards;
           
-          // 补牌
-          const newCards = this.deck.drawCards(flowerCards.length);
-          player.handCards.push(...newCards.map(card => card.id));
+          // 从牌尾补牌
+          for (let j = 0; j < flowerCards.length && this.deck.hasCards(); j++) {
+            player.handCards.push(this.drawFromTail().id);
+          }
         }
       }
     }
@@ -251,8 +691,7 @@ class Game {
    * 根据ID获取牌对象
    */
   getCardById(cardId) {
-    const [type, value] = cardId.split('_');
-    return new Card(type, parseInt(value));
+    return Card.fromId(cardId);
   }
 
   /**
@@ -263,6 +702,10 @@ class Game {
       throw new Error('游戏未在进行中');
     }
 
+    if (this.data.claimWindow) {
+      throw createGameError('等待其他玩家响应', 'CLAIM_WINDOW_OPEN');
+    }
+
     if (this.data.currentPlayer !== playerPosition) {
       throw new Error('不是该玩家的回合');
     }
@@ -274,9 +717,20 @@ class Game {
       throw new Error('玩家没有这张牌');
     }
 
+    if (!this.canDiscardInFirstLap(playerPosition, cardId)) {
+      throw createGameError('第一圈只能打筒子或万子', 'FIRST_LAP_DISCARD_RESTRICTED');
+    }
+
+    // 违反三摊的出牌记为包牌
+    this.getDiscardLiability(playerPosition, cardId).forEach(sanTanPlayer => {
+      this.data.liabilities.push({ offender: playerPosition, sanTanPlayer, cardId, timestamp: new Date() });
+    });
+
     // 移除手牌并添加到弃牌区
-    player.handCards.splice(cardIndex, 1);
+    this.removeFromHand(playerPosition, cardIndex);
     player.discardedCards.push(cardId);
+    player.availableActions = [];
+    this.data.lastDraw = null;
     
     this.data.lastDiscardedCard = cardId;
     this.data.lastAction = PLAYER_ACTIONS.DISCARD;
@@ -289,19 +743,22 @@ class Game {
       timestamp: new Date()
     });
 
-    // 检查其他玩家是否可以吃碰杠胡
-    this.checkPlayerActions(cardId);
-    
-    // 如果没有人要牌，轮到下一个玩家
-    this.nextPlayer();
+    // 有人可以吃碰杠胡时打开抢牌窗口，否则轮到下一个玩家
+    if (!this.openClaimWindow(playerPosition, cardId)) {
+      this.nextPlayer();
+    }
   }
 
   /**
    * 检查玩家可执行的动作
+   * @returns {Object} 玩家位置到可选动作数组的映射
    */
   checkPlayerActions(discardedCardId) {
-    const discardedCard = this.getCardById(discardedCardId);
     const currentPlayerPos = this.data.currentPlayer;
+    const eligible = {};
+
+    // 这张牌已记入出牌历史，第四家打出的牌仍属第一圈
+    const firstLap = this.isFirstLap(this.countDiscards() - 1);
     
     this.data.players.forEach((player, index) => {
       if (index === currentPlayerPos) return; // 跳过出牌玩家
@@ -312,6 +769,15 @@ class Game {
       if (this.canHu(index, discardedCardId)) {
         actions.push(PLAYER_ACTIONS.HU);
       }
+
+      // 第一圈不能吃碰杠
+      if (firstLap) {
+        player.availableActions = actions;
+        if (actions.length > 0) {
+          eligible[index] = actions;
+        }
+        return;
+      }
       
       // 检查杠牌
       if (this.canGang(index, discardedCardId)) {
@@ -328,159 +794,1162 @@ class Game {
         actions.push(PLAYER_ACTIONS.CHI);
       }
       
-      // 如果有可执行动作，暂停游戏等待玩家选择
+      player.availableActions = actions;
       if (actions.length > 0) {
-        player.availableActions = actions;
+        eligible[index] = actions;
       }
     });
+
+    return eligible;
   }
 
   /**
-   * 检查是否可以胡牌
+   * 统计本局已打出的牌数
    */
-  canHu(playerPosition, cardId = null) {
-    const player = this.data.players[playerPosition];
-    let testCards = [...player.handCards];
-    
-    if (cardId) {
-      testCards.push(cardId);
-    }
-    
-    return this.isWinningHand(testCards, player.exposedCards);
+  countDiscards() {
+    return this.data.gameHistory.filter(entry => entry.action === PLAYER_ACTIONS.DISCARD).length;
   }
 
   /**
-   * 检查是否可以碰牌
+   * 判断是否处于第一圈（四家还没有都出过牌）
+   * 第一圈不能吃碰杠，所以出牌数即可判断；规则关闭时始终返回 false
    */
-  canPeng(playerPosition, cardId) {
-    const player = this.data.players[playerPosition];
-    const card = this.getCardById(cardId);
-    
-    // 计算手牌中相同牌的数量
-    const sameCards = player.handCards.filter(handCardId => {
-      const handCard = this.getCardById(handCardId);
-      return handCard.equals(card);
-    });
-    
-    return sameCards.length >= 2;
+  isFirstLap(discardCount = this.countDiscards()) {
+    const settings = this.data.settings || {};
+    if (settings.firstLapRestriction === false) return false;
+
+    return discardCount < 4;
   }
 
   /**
-   * 检查是否可以杠牌
+   * 判断第一圈能否打出这张牌
+   * 手中没有筒子和万子时不受限制
    */
-  canGang(playerPosition, cardId) {
-    const player = this.data.players[playerPosition];
-    const card = this.getCardById(cardId);
-    
-    // 计算手牌中相同牌的数量
-    const sameCards = player.handCards.filter(handCardId => {
-      const handCard = this.getCardById(handCardId);
-      return handCard.equals(card);
-    });
-    
-    return sameCards.length >= 3;
+  canDiscardInFirstLap(playerPosition, cardId) {
+    if (!this.isFirstLap()) return true;
+
+    const isAllowed = id => FIRST_LAP_DISCARD_TYPES.includes(this.getCardById(id).type);
+    if (isAllowed(cardId)) return true;
+
+    return !this.data.players[playerPosition].handCards.some(isAllowed);
   }
 
   /**
-   * 检查是否可以吃牌
+   * 获取场上所有构成三摊的玩家
+   * @returns {Array} [{ position, types, terminals, melds }]
    */
-  canChi(playerPosition, cardId) {
+  getSanTanStates() {
+    return this.data.players
+      .map(player => {
+        const sanTan = SanTanChecker.detect(player.exposedCards);
+        return sanTan ? { position: player.position, ...sanTan } : null;
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * 判断打出这张牌会对哪些三摊玩家包牌
+   * 打出后仍听牌的玩家不受三摊限制
+   * @returns {number[]} 三摊玩家位置
+   */
+  getDiscardLiability(playerPosition, cardId) {
+    const sanTanStates = this.getSanTanStates()
+      .filter(state => state.position !== playerPosition && SanTanChecker.isDangerousDiscard(state, cardId));
+    if (sanTanStates.length === 0) return [];
+
+    if (this.isTenpai(playerPosition, cardId)) return [];
+
+    return sanTanStates.map(state => state.position);
+  }
+
+  /**
+   * 获取玩家手中打出会包牌的牌
+   * 未到出牌时（手牌少一张）按当前手牌是否听牌判断
+   */
+  getDangerousDiscards(playerPosition) {
     const player = this.data.players[playerPosition];
-    const card = this.getCardById(cardId);
-    
-    // 只有数字牌可以吃
-    if (!card.isNumber()) return false;
-    
-    // 检查是否可以组成顺子
-    const handCards = player.handCards.map(id => this.getCardById(id));
-    
-    // 检查所有可能的顺子组合
-    for (let i = 0; i < handCards.length - 1; i++) {
-      for (let j = i + 1; j < handCards.length; j++) {
-        if (card.canFormSequence(handCards[i], handCards[j])) {
-          return true;
-        }
-      }
+    const sanTanStates = this.getSanTanStates().filter(state => state.position !== playerPosition);
+    if (sanTanStates.length === 0) return [];
+
+    const candidates = [...new Set(player.handCards)]
+      .filter(cardId => sanTanStates.some(state => SanTanChecker.isDangerousDiscard(state, cardId)));
+
+    if (player.handCards.length % 3 === 2) {
+      return candidates.filter(cardId => this.getDiscardLiability(playerPosition, cardId).length > 0);
     }
-    
-    return false;
+
+    return this.isTenpai(playerPosition) ? [] : candidates;
   }
 
   /**
-   * 检查是否为胡牌
+   * 判断玩家是否听牌（再来一张即可胡）
+   * @param {string|null} discardCardId 先打出这张牌再判断，默认按当前手牌
    */
-  isWinningHand(handCards, exposedCards) {
-    // 简化的胡牌检查逻辑
-    // 实际实现需要更复杂的算法来检查所有可能的组合
-    
-    // 基本检查：14张牌（包括明牌）
-    const totalCards = handCards.length + exposedCards.reduce((sum, group) => sum + group.cards.length, 0);
-    if (totalCards !== 14) return false;
-    
-    // TODO: 实现完整的胡牌检查逻辑
-    // 需要检查是否符合 11,123,123,123,123 等基本牌型
-    
-    return false; // 临时返回false，需要完整实现
+  isTenpai(playerPosition, discardCardId = null) {
+    const counts = this.copyCounts(playerPosition, discardCardId);
+    return WinChecker.getWaitingIndexes(counts, this.getSetsNeeded(playerPosition)).length > 0;
   }
 
   /**
-   * 轮到下一个玩家
+   * 获取玩家听的牌，以及每种在该玩家看来还剩几张没见到
+   * @param {string|null} discardCardId 先打出这张牌再判断，默认按当前手牌
+   * @returns {Array} [{ cardId, remaining }]，没听牌时为空数组
    */
-  nextPlayer() {
-    this.data.currentPlayer = (this.data.currentPlayer + 1) % 4;
-    
-    // 如果轮到的玩家需要摸牌
-    if (this.deck.hasCards()) {
-      const player = this.data.players[this.data.currentPlayer];
-      const newCard = this.deck.drawCard();
-      player.handCards.push(newCard.id);
-      
-      // 检查是否摸到花牌
-      if (newCard.isFlower()) {
-        player.flowerCards.push(newCard.id);
-        player.handCards.pop(); // 移除花牌
-        
-        // 补牌
-        if (this.deck.hasCards()) {
-          const supplementCard = this.deck.drawCard();
-          player.handCards.push(supplementCard.id);
-        }
-      }
-    }
+  getWaits(playerPosition, discardCardId = null) {
+    const counts = this.copyCounts(playerPosition, discardCardId);
+    const waits = WinChecker.getWaitingIndexes(counts, this.getSetsNeeded(playerPosition));
+    if (waits.length === 0) return [];
+
+    const visible = this.countVisibleTiles(playerPosition);
+    return waits.map(index => ({
+      cardId: Card.fromTileIndex(index).id,
+      remaining: Math.max(0, 4 - visible.count(index))
+    }));
   }
 
   /**
-   * 计算花牌番数
+   * 复制玩家的手牌计数数组，供规则判断试加、试减牌
+   * @param {string|null} removedCardId 先去掉这张牌
+   * @returns {number[]}
    */
-  calculateFlowerFan(playerPosition) {
-    const player = this.data.players[playerPosition];
-    const playerFeng = player.feng;
-    let fanCount = 0;
-    
-    player.flowerCards.forEach(cardId => {
-      const card = this.getCardById(cardId);
-      if (card.isFlower()) {
-        const flowerFeng = card.getFlowerFeng();
-        if (flowerFeng === playerFeng) {
-          fanCount += 1;
-        }
-      }
-    });
-    
-    // 检查是否有四花（梅兰菊竹或春夏秋冬）
-    const flowerValues = player.flowerCards.map(cardId => this.getCardById(cardId).value);
-    const hasFourSeasons = [5, 6, 7, 8].every(val => flowerValues.includes(val)); // 春夏秋冬
-    const hasFourPlants = [1, 2, 3, 4].every(val => flowerValues.includes(val));  // 梅兰菊竹
-    
-    if (hasFourSeasons || hasFourPlants) {
-      fanCount += 2;
-    }
-    
-    return fanCount;
+  copyCounts(playerPosition, removedCardId = null) {
+    const counts = [...this.handCounts[playerPosition].counts];
+    const index = removedCardId ? Card.getTileIndexById(removedCardId) : -1;
+    if (index >= 0 && counts[index] > 0) counts[index]--;
+    return counts;
   }
 
   /**
-   * 游戏结束
+   * 手牌还需要组成几组面子（每个亮出的牌组算一组）
+   */
+  getSetsNeeded(playerPosition) {
+    return 4 - this.data.players[playerPosition].exposedCards.length;
+  }
+
+  /**
+   * 统计玩家看得到的牌：自己的手牌、所有人的弃牌和亮牌（别人的暗杠看不到）
+   * @returns {HandCounts}
+   */
+  countVisibleTiles(viewerPosition) {
+    const visible = new HandCounts();
+    const addAll = cardIds => cardIds.forEach(cardId => visible.add(cardId));
+
+    this.data.players.forEach((player, index) => {
+      if (index === viewerPosition) addAll(player.handCards);
+      addAll(player.discardedCards);
+      player.exposedCards.forEach(meld => {
+        if (!meld.concealed || index === viewerPosition) addAll(meld.cards);
+      });
+    });
+
+    return visible;
+  }
+
+  /**
+   * 出牌建议：按打出后的向听数和剩余有效牌张数给手中每种牌排序
+   * 别人亮出（暗杠除外）和打出的牌都算已见到；第一圈不能打的牌不在建议中
+   * @returns {Object} { shanten, discards }，shanten 为当前手牌的向听数
+   */
+  getDiscardAdvice(playerPosition) {
+    const player = this.data.players[playerPosition];
+    if (player.handCards.length % 3 !== 2) {
+      throw createGameError('轮到出牌时才能使用出牌建议', 'ADVICE_NOT_AVAILABLE');
+    }
+
+    const counts = this.copyCounts(playerPosition);
+    const setsNeeded = this.getSetsNeeded(playerPosition);
+    const visible = this.countVisibleTiles(playerPosition);
+    const discards = ShantenCalculator.rankDiscardCounts(counts, setsNeeded, visible.counts)
+      .map(({ index, ...option }) => ({
+        cardId: player.handCards.find(cardId => Card.getTileIndexById(cardId) === index),
+        ...option
+      }))
+      .filter(option => this.canDiscardInFirstLap(playerPosition, option.cardId));
+
+    return {
+      shanten: ShantenCalculator.calculateCounts(counts, setsNeeded),
+      discards
+    };
+  }
+
+  /**
+   * 获取玩家的听牌信息
+   * 等牌时给出听的牌；轮到出牌时给出打哪张可以听牌、打后听什么
+   * @returns {Object} { tenpai, waits, remaining, discards }
+   */
+  getTenpaiInfo(playerPosition) {
+    const player = this.data.players[playerPosition];
+
+    if (player.handCards.length % 3 === 2) {
+      const tried = new Set();
+      const discards = [];
+
+      player.handCards.forEach(cardId => {
+        const kind = Card.getTileIndexById(cardId);
+        if (tried.has(kind)) return;
+        tried.add(kind);
+
+        const waits = this.getWaits(playerPosition, cardId);
+        if (waits.length > 0) {
+          discards.push({ cardId, waits });
+        }
+      });
+
+      return { tenpai: false, waits: [], remaining: 0, discards };
+    }
+
+    const waits = this.getWaits(playerPosition);
+    return {
+      tenpai: waits.length > 0,
+      waits,
+      remaining: waits.reduce((sum, wait) => sum + wait.remaining, 0),
+      discards: []
+    };
+  }
+
+  /**
+   * 打开抢牌窗口
+   * @returns {boolean} 是否有玩家可以抢牌
+   */
+  openClaimWindow(discarder, cardId) {
+    const eligible = this.checkPlayerActions(cardId);
+    const positions = Object.keys(eligible).map(Number);
+
+    if (positions.length === 0) {
+      this.data.claimWindow = null;
+      return false;
+    }
+
+    const timeLimit = (this.data.settings && this.data.settings.timeLimit) || 30;
+
+    this.data.claimWindow = {
+      cardId,
+      discarder,
+      deadline: new Date(Date.now() + timeLimit * 1000),
+      eligible: positions.map(position => ({ position, actions: eligible[position] })),
+      responses: []
+    };
+
+    return true;
+  }
+
+  /**
+   * 抢牌窗口的公开信息：只说明是否在等待响应及截止时间
+   * 谁能抢、能做什么只通过各自的 availableActions 告知本人
+   */
+  getPublicClaimWindow() {
+    const window = this.data.claimWindow;
+    return {
+      open: Boolean(window),
+      deadline: window ? window.deadline : null
+    };
+  }
+
+  /**
+   * 玩家响应抢牌窗口（吃、碰、杠、胡或过）
+   * 所有可抢牌玩家都响应后立即裁决
+   * @param {string[]|string} cards 吃牌时为要亮出的手牌（或吃牌组合类型），碰、杠时可指定手牌，不指定由服务端选取
+   * @returns {Object|null} 裁决结果，尚在等待其他玩家时返回null
+   */
+  submitClaim(playerPosition, action, cards = []) {
+    const window = this.data.claimWindow;
+    if (!window) {
+      throw createGameError('当前没有可以抢的牌', 'NO_CLAIM_WINDOW');
+    }
+
+    const entry = window.eligible.find(item => item.position === playerPosition);
+    if (!entry) {
+      throw createGameError('您不能抢这张牌', 'NOT_ELIGIBLE_TO_CLAIM');
+    }
+
+    if (window.responses.some(response => response.position === playerPosition)) {
+      throw createGameError('您已经响应过了', 'ALREADY_RESPONDED');
+    }
+
+    if (action !== PLAYER_ACTIONS.PASS && !entry.actions.includes(action)) {
+      throw createGameError('不能执行该操作', 'CLAIM_NOT_ALLOWED');
+    }
+
+    let claimedCards = [];
+    if (action === PLAYER_ACTIONS.CHI) {
+      claimedCards = this.resolveChiClaim(playerPosition, window.cardId, cards);
+    } else if (action === PLAYER_ACTIONS.PENG || action === PLAYER_ACTIONS.GANG) {
+      const count = action === PLAYER_ACTIONS.PENG ? 2 : 3;
+      claimedCards = [...this.resolveSameKindClaim(playerPosition, window.cardId, count, cards), window.cardId];
+    }
+
+    window.responses.push({ position: playerPosition, action, cards: claimedCards });
+    this.data.players[playerPosition].availableActions = [];
+
+    if (window.responses.length < window.eligible.length) {
+      return null;
+    }
+
+    return this.resolveClaimWindow();
+  }
+
+  /**
+   * 校验吃牌请求必须是合法组合之一
+   * 只有一种组合时可以不指定
+   * @param {string[]|string} selection 要亮出的两张手牌（可含被吃的牌），或吃牌组合类型
+   * @returns {string[]} 按大小排好的整组顺子
+   */
+  resolveChiClaim(playerPosition, cardId, selection = []) {
+    const options = this.getChiOptions(playerPosition, cardId);
+
+    if (typeof selection === 'string') {
+      const option = options.find(item => item.type === selection);
+      if (!option) {
+        throw createGameError('无效的吃牌组合', 'INVALID_CHI');
+      }
+      return option.cards;
+    }
+
+    const handCards = (selection || []).filter(id => id !== cardId);
+    if (handCards.length === 0 && options.length === 1) {
+      return options[0].cards;
+    }
+
+    if (handCards.length !== 2) {
+      throw createGameError('请选择吃牌组合', 'CHI_OPTION_REQUIRED');
+    }
+
+    this.assertOwnsCards(playerPosition, handCards);
+
+    const kinds = handCards.map(id => Card.getTileIndexById(id)).sort((a, b) => a - b).join();
+    const matched = options.some(option =>
+      option.handCards.map(id => Card.getTileIndexById(id)).sort((a, b) => a - b).join() === kinds);
+    if (!matched) {
+      throw createGameError('无效的吃牌组合', 'INVALID_CHI');
+    }
+
+    return this.sortByTileIndex([...handCards, cardId]);
+  }
+
+  /**
+   * 校验碰、杠请求中的手牌：必须在手中且与被抢的牌同种、张数正确
+   * 未指定时由服务端从手牌中选取
+   * @returns {string[]} 要亮出的手牌
+   */
+  resolveSameKindClaim(playerPosition, cardId, count, selection = []) {
+    const player = this.data.players[playerPosition];
+    const handCards = Array.isArray(selection) ? selection.filter(id => id !== cardId) : [];
+
+    if (handCards.length === 0) {
+      const matching = player.handCards.filter(id => Card.isSameKind(id, cardId));
+      if (matching.length < count) {
+        throw createGameError('手中没有足够的牌', 'CLAIM_NOT_ALLOWED');
+      }
+      return matching.slice(0, count);
+    }
+
+    this.assertOwnsCards(playerPosition, handCards);
+
+    if (handCards.length !== count || !handCards.every(id => Card.isSameKind(id, cardId))) {
+      throw createGameError('提交的牌与被抢的牌不符', 'INVALID_MELD');
+    }
+
+    return handCards;
+  }
+
+  /**
+   * 抢牌窗口超时处理，未响应的玩家视为过
+   * @returns {Object|null} 裁决结果，窗口未超时时返回null
+   */
+  expireClaimWindow(now = new Date()) {
+    const window = this.data.claimWindow;
+    if (!window || now < window.deadline) {
+      return null;
+    }
+
+    return this.resolveClaimWindow();
+  }
+
+  /**
+   * 裁决抢牌：胡 > 杠 > 碰 > 吃，同级按出牌玩家的下家顺序优先
+   */
+  resolveClaimWindow() {
+    const window = this.data.claimWindow;
+    const { kind, cardId, discarder } = window;
+    const seatOrder = position => (position - discarder + 4) % 4;
+
+    const claims = window.responses
+      .filter(response => response.action !== PLAYER_ACTIONS.PASS)
+      .sort((a, b) => (CLAIM_PRIORITY[b.action] - CLAIM_PRIORITY[a.action]) ||
+        (seatOrder(a.position) - seatOrder(b.position)));
+
+    const [chosen, ...rejected] = claims;
+
+    this.data.claimWindow = null;
+    this.data.players.forEach(player => {
+      player.availableActions = [];
+    });
+
+    const result = {
+      kind,
+      cardId,
+      discarder,
+      winner: chosen ? { position: chosen.position, action: chosen.action } : null,
+      losers: rejected.map(claim => ({ position: claim.position, action: claim.action }))
+    };
+    this.data.lastClaimResult = result;
+
+    if (kind === CLAIM_KINDS.QIANG_GANG) {
+      this.resolveQiangGang(discarder, cardId, chosen);
+      return result;
+    }
+
+    if (!chosen) {
+      this.nextPlayer();
+      return result;
+    }
+
+    switch (chosen.action) {
+      case PLAYER_ACTIONS.HU:
+        this.declareWin(chosen.position, cardId, { from: discarder });
+        break;
+      case PLAYER_ACTIONS.GANG:
+        this.applyGang(chosen.position, GANG_TYPES.MING, cardId, chosen.cards);
+        break;
+      case PLAYER_ACTIONS.PENG:
+        this.applyPeng(chosen.position, cardId, chosen.cards);
+        break;
+      case PLAYER_ACTIONS.CHI:
+        this.applyChi(chosen.position, chosen.cards);
+        break;
+      default:
+        break;
+    }
+
+    return result;
+  }
+
+  /**
+   * 从出牌玩家的弃牌区取走被抢的牌
+   */
+  takeDiscardedCard(cardId) {
+    const discarder = this.data.players[this.data.currentPlayer];
+    const index = discarder.discardedCards.lastIndexOf(cardId);
+    if (index > -1) {
+      discarder.discardedCards.splice(index, 1);
+    }
+  }
+
+  /**
+   * 执行吃牌操作
+   */
+  applyChi(playerPosition, cardIds) {
+    const player = this.data.players[playerPosition];
+    const discardedCard = this.data.lastDiscardedCard;
+
+    const chiCards = this.resolveChiClaim(playerPosition, discardedCard, cardIds);
+    
+    // 从手牌中移除相关牌
+    this.takeFromHand(playerPosition, chiCards.filter(cardId => cardId !== discardedCard));
+    
+    this.takeDiscardedCard(discardedCard);
+
+    // 添加到明牌区
+    player.exposedCards.push({
+      type: MELD_TYPES.CHI,
+      cards: chiCards,
+      from: this.data.currentPlayer
+    });
+    
+    this.recordAction(playerPosition, PLAYER_ACTIONS.CHI, chiCards);
+
+    // 设置当前玩家
+    this.data.currentPlayer = playerPosition;
+  }
+
+  /**
+   * 执行碰牌操作
+   * @param {string[]} cardIds 抢牌时确认的牌（可含被碰的牌），不指定时由服务端选取
+   */
+  applyPeng(playerPosition, cardId, cardIds = []) {
+    const player = this.data.players[playerPosition];
+    
+    // 从手牌中移除两张同种的牌
+    const removed = this.takeFromHand(playerPosition, this.resolveSameKindClaim(playerPosition, cardId, 2, cardIds));
+    
+    this.takeDiscardedCard(cardId);
+
+    // 添加到明牌区
+    player.exposedCards.push({
+      type: MELD_TYPES.PENG,
+      cards: [...removed, cardId],
+      from: this.data.currentPlayer
+    });
+    
+    this.recordAction(playerPosition, PLAYER_ACTIONS.PENG, [...removed, cardId]);
+
+    // 设置当前玩家
+    this.data.currentPlayer = playerPosition;
+  }
+
+  /**
+   * 获取可以暗杠的牌（手中有四张相同的牌）
+   * @returns {string[]} 每种可暗杠牌的一张牌ID
+   */
+  getAnGangOptions(playerPosition) {
+    const player = this.data.players[playerPosition];
+    const counts = this.handCounts[playerPosition];
+
+    return counts.counts
+      .map((count, index) => (count >= 4 ? index : -1))
+      .filter(index => index >= 0)
+      .map(index => player.handCards.find(cardId => Card.getTileIndexById(cardId) === index));
+  }
+
+  /**
+   * 获取可以加杠的牌（手中有与已碰牌组相同的牌）
+   * @returns {string[]} 可加杠的手牌ID
+   */
+  getJiaGangOptions(playerPosition) {
+    const player = this.data.players[playerPosition];
+    const counts = this.handCounts[playerPosition];
+
+    return player.exposedCards
+      .filter(meld => meld.type === MELD_TYPES.PENG)
+      .map(meld => Card.getTileIndexById(meld.cards[0]))
+      .filter(index => counts.count(index) > 0)
+      .map(index => player.handCards.find(cardId => Card.getTileIndexById(cardId) === index));
+  }
+
+  /**
+   * 检查是否可以在自己回合暗杠或加杠
+   */
+  validateSelfGang(playerPosition, gangType, cardId) {
+    if (this.data.state !== GAME_STATES.PLAYING) {
+      throw new Error('游戏未在进行中');
+    }
+
+    if (this.data.claimWindow) {
+      throw createGameError('等待其他玩家响应', 'CLAIM_WINDOW_OPEN');
+    }
+
+    if (this.data.currentPlayer !== playerPosition) {
+      throw new Error('不是该玩家的回合');
+    }
+
+    if (this.isFirstLap()) {
+      throw createGameError('第一圈不能杠牌', 'FIRST_LAP_CLAIM_RESTRICTED');
+    }
+
+    const player = this.data.players[playerPosition];
+    if (player.handCards.length % 3 !== 2) {
+      throw createGameError('摸牌后才能杠牌', 'GANG_NOT_ALLOWED');
+    }
+
+    const options = gangType === GANG_TYPES.AN
+      ? this.getAnGangOptions(playerPosition)
+      : this.getJiaGangOptions(playerPosition);
+
+    const card = cardId ? this.getCardById(cardId) : null;
+    if (!card || !options.some(optionId => this.getCardById(optionId).equals(card))) {
+      throw createGameError(gangType === GANG_TYPES.AN ? '无法暗杠' : '无法加杠', 'GANG_NOT_ALLOWED');
+    }
+
+    this.assertOwnsCards(playerPosition, [cardId]);
+  }
+
+  /**
+   * 检查客户端提交的牌确实在玩家手中且没有重复
+   */
+  assertOwnsCards(playerPosition, cardIds) {
+    const player = this.data.players[playerPosition];
+    const owned = cardIds.every(cardId => player.handCards.includes(cardId));
+
+    if (!owned || new Set(cardIds).size !== cardIds.length) {
+      throw createGameError('提交的牌不在手中或重复', 'INVALID_TILE');
+    }
+  }
+
+  /**
+   * 核对全部144张牌：牌墙、手牌、弃牌、明牌和花牌中每张牌恰好出现一次
+   * @returns {Object} { valid, total, duplicates, missing, unknown }
+   */
+  auditTiles() {
+    const expected = new Set(new CardDeck().cards.map(card => card.id));
+    const seen = new Map();
+
+    const collect = cardIds => cardIds.forEach(cardId => {
+      seen.set(cardId, (seen.get(cardId) || 0) + 1);
+    });
+
+    collect(this.deck.cards.map(card => card.id));
+    this.data.players.forEach(player => {
+      collect(player.handCards);
+      collect(player.discardedCards);
+      collect(player.flowerCards);
+      player.exposedCards.forEach(meld => collect(meld.cards));
+    });
+
+    const duplicates = [...seen].filter(([, count]) => count > 1).map(([cardId]) => cardId);
+    const unknown = [...seen.keys()].filter(cardId => !expected.has(cardId));
+    const missing = [...expected].filter(cardId => !seen.has(cardId));
+    const total = [...seen.values()].reduce((sum, count) => sum + count, 0);
+
+    // 增量维护的手牌计数必须与手牌一致
+    const countsInSync = this.data.players.every((player, index) =>
+      HandCounts.fromCards(player.handCards, player.flowerCards).equals(this.handCounts[index]));
+
+    return {
+      valid: duplicates.length === 0 && unknown.length === 0 && missing.length === 0 && countsInSync,
+      total,
+      countsInSync,
+      duplicates,
+      missing,
+      unknown
+    };
+  }
+
+  /**
+   * 从手牌中移除指定的牌
+   * @returns {string[]} 移除的牌ID
+   */
+  takeFromHand(playerPosition, cardIds) {
+    const player = this.data.players[playerPosition];
+    this.assertOwnsCards(playerPosition, cardIds);
+
+    return cardIds.map(cardId => this.removeFromHand(playerPosition, player.handCards.indexOf(cardId)));
+  }
+
+  /**
+   * 从手牌中移除指定数量与该牌相同的牌
+   * @returns {string[]} 移除的牌ID
+   */
+  removeMatchingCards(playerPosition, cardId, count) {
+    const player = this.data.players[playerPosition];
+    const removed = [];
+
+    // 手中有指定的这一张时优先移除它
+    const exactIndex = player.handCards.indexOf(cardId);
+    if (exactIndex > -1 && count > 0) {
+      removed.push(this.removeFromHand(playerPosition, exactIndex));
+    }
+
+    for (let i = player.handCards.length - 1; i >= 0 && removed.length < count; i--) {
+      if (Card.isSameKind(player.handCards[i], cardId)) {
+        removed.push(this.removeFromHand(playerPosition, i));
+      }
+    }
+
+    return removed;
+  }
+
+  /**
+   * 执行杠牌操作
+   * @param {string} gangType 杠牌类型（明杠、暗杠、加杠）
+   * @param {string} cardId 明杠为被杠的牌，暗杠、加杠为手中要杠的牌
+   */
+  applyGang(playerPosition, gangType, cardId, cardIds = []) {
+    const player = this.data.players[playerPosition];
+    
+    if (gangType === GANG_TYPES.MING) {
+      // 明杠：从手牌中移除三张相同的牌
+      const removed = this.takeFromHand(playerPosition, this.resolveSameKindClaim(playerPosition, cardId, 3, cardIds));
+      this.takeDiscardedCard(cardId);
+
+      player.exposedCards.push({
+        type: MELD_TYPES.GANG,
+        cards: [...removed, cardId],
+        from: this.data.currentPlayer
+      });
+
+      this.recordAction(playerPosition, PLAYER_ACTIONS.GANG, [...removed, cardId], { gangType });
+    } else if (gangType === GANG_TYPES.AN) {
+      this.validateSelfGang(playerPosition, gangType, cardId);
+
+      // 暗杠：手中四张相同的牌，对其他玩家隐藏
+      const removed = this.removeMatchingCards(playerPosition, cardId, 4);
+
+      player.exposedCards.push({
+        type: MELD_TYPES.GANG,
+        cards: removed,
+        from: playerPosition,
+        concealed: true
+      });
+
+      this.recordAction(playerPosition, PLAYER_ACTIONS.GANG, removed, { gangType });
+    } else if (gangType === GANG_TYPES.JIA) {
+      this.validateSelfGang(playerPosition, gangType, cardId);
+
+      // 有人可以抢杠胡时先等待响应，加杠暂不生效
+      if (this.openQiangGangWindow(playerPosition, cardId)) {
+        return;
+      }
+
+      this.completeJiaGang(playerPosition, cardId);
+      return;
+    } else {
+      throw createGameError('杠牌类型无效', 'INVALID_GANG_TYPE');
+    }
+    
+    this.drawGangReplacement(playerPosition);
+  }
+
+  /**
+   * 完成加杠：把手中的第四张加到已碰的牌组上
+   */
+  completeJiaGang(playerPosition, cardId) {
+    const player = this.data.players[playerPosition];
+    const card = this.getCardById(cardId);
+    const meld = player.exposedCards.find(group =>
+      group.type === MELD_TYPES.PENG && this.getCardById(group.cards[0]).equals(card));
+    const [added] = this.removeMatchingCards(playerPosition, cardId, 1);
+
+    meld.type = MELD_TYPES.GANG;
+    meld.cards.push(added);
+
+    this.recordAction(playerPosition, PLAYER_ACTIONS.GANG, [added], { gangType: GANG_TYPES.JIA });
+    this.drawGangReplacement(playerPosition);
+  }
+
+  /**
+   * 杠牌后补牌
+   */
+  drawGangReplacement(playerPosition) {
+    this.data.currentPlayer = playerPosition;
+    this.drawForPlayer(playerPosition, DRAW_SOURCES.GANG);
+  }
+
+  /**
+   * 为玩家摸一张牌：正常摸牌从牌头，杠后补牌从牌尾
+   * 摸到花牌时移入花牌区并继续从牌尾补牌，直到摸到非花牌
+   * @returns {string|null} 进入手牌的牌ID，牌堆摸完时返回null
+   */
+  drawForPlayer(playerPosition, source = DRAW_SOURCES.WALL) {
+    const player = this.data.players[playerPosition];
+    let card = null;
+    let drawSource = source;
+
+    if (this.deck.hasCards()) {
+      card = source === DRAW_SOURCES.WALL ? this.drawFromHead() : this.drawFromTail();
+    }
+
+    while (card && card.isFlower()) {
+      player.flowerCards.push(card.id);
+      this.handCounts[playerPosition].addFlower(card.id);
+      // 杠后补到花再补的牌仍算杠上补牌
+      if (drawSource !== DRAW_SOURCES.GANG) {
+        drawSource = DRAW_SOURCES.FLOWER;
+      }
+      card = this.deck.hasCards() ? this.drawFromTail() : null;
+    }
+
+    if (!card) {
+      this.data.lastDraw = null;
+      return null;
+    }
+
+    this.addToHand(playerPosition, card.id);
+    player.lastDrawnCard = card.id;
+    this.data.lastDraw = {
+      player: playerPosition,
+      cardId: card.id,
+      source: drawSource
+    };
+
+    // 摸牌后能胡则提示玩家
+    player.availableActions = this.canHu(playerPosition) ? [PLAYER_ACTIONS.HU] : [];
+
+    return card.id;
+  }
+
+  /**
+   * 从牌头摸一张牌并记录摸牌位置
+   */
+  drawFromHead() {
+    this.data.headDrawCount = (this.data.headDrawCount || 0) + 1;
+    return this.deck.drawCard();
+  }
+
+  /**
+   * 从牌尾补一张牌并记录补牌张数
+   */
+  drawFromTail() {
+    this.data.tailDrawCount = (this.data.tailDrawCount || 0) + 1;
+    return this.deck.drawFromTail();
+  }
+
+  /**
+   * 获取流局保留的墩数：倒数9墩，每一杠多留一墩
+   */
+  getReservedStacks() {
+    const gangCount = this.data.players.reduce((sum, player) =>
+      sum + player.exposedCards.filter(meld => meld.type === MELD_TYPES.GANG).length, 0);
+    return RESERVED_STACKS + gangCount;
+  }
+
+  /**
+   * 获取还能正常摸的牌数
+   * 牌尾被补牌拿走单张时，剩下的单数牌不算一墩
+   */
+  getLiveWallCount() {
+    const oddTail = (this.data.tailDrawCount || 0) % 2;
+    const reserved = this.getReservedStacks() * 2 + oddTail;
+    return Math.max(0, this.deck.getRemainingCount() - reserved);
+  }
+
+  /**
+   * 流局：无人胡牌，本局结束
+   */
+  endInDraw() {
+    this.data.players.forEach(player => {
+      player.availableActions = [];
+    });
+
+    this.recordAction(this.data.currentPlayer, 'liu_ju', [], { winType: WIN_TYPES.LIU_JU });
+    this.data.winDetail = null;
+    this.endGame(null, WIN_TYPES.LIU_JU, 0, 0);
+  }
+
+  /**
+   * 摸牌后胡牌（自摸），杠后补牌胡为杠上开花
+   * @returns {Object} 胡牌明细
+   */
+  declareWinOnDraw(playerPosition) {
+    const lastDraw = this.data.lastDraw;
+    const player = this.data.players[playerPosition];
+
+    if (this.data.state !== GAME_STATES.PLAYING || this.data.claimWindow) {
+      throw createGameError('无法胡牌', 'CANNOT_HU');
+    }
+
+    // 只能胡自己刚摸到、还在手中的牌
+    if (this.data.currentPlayer !== playerPosition || !lastDraw ||
+        lastDraw.player !== playerPosition || !player.handCards.includes(lastDraw.cardId)) {
+      throw createGameError('无法胡牌', 'CANNOT_HU');
+    }
+
+    return this.declareWin(playerPosition, lastDraw.cardId, {
+      isSelfDraw: true,
+      winType: lastDraw.source === DRAW_SOURCES.GANG ? WIN_TYPES.GANG_SHANG_KAI_HUA : WIN_TYPES.ZI_MO
+    });
+  }
+
+  /**
+   * 加杠时打开抢杠胡窗口，只允许能用这张牌胡的玩家胡牌
+   * @returns {boolean} 是否有玩家可以抢杠
+   */
+  openQiangGangWindow(declarer, cardId) {
+    const eligible = [];
+
+    this.data.players.forEach((player, index) => {
+      player.availableActions = [];
+      if (index === declarer) return;
+
+      if (this.canHu(index, cardId)) {
+        player.availableActions = [PLAYER_ACTIONS.HU];
+        eligible.push({ position: index, actions: [PLAYER_ACTIONS.HU] });
+      }
+    });
+
+    if (eligible.length === 0) {
+      return false;
+    }
+
+    const timeLimit = (this.data.settings && this.data.settings.timeLimit) || 30;
+
+    this.data.claimWindow = {
+      kind: CLAIM_KINDS.QIANG_GANG,
+      cardId,
+      discarder: declarer,
+      deadline: new Date(Date.now() + timeLimit * 1000),
+      eligible,
+      responses: []
+    };
+
+    return true;
+  }
+
+  /**
+   * 裁决抢杠：有人抢杠则加杠作废，这张牌成为胡的牌；否则加杠生效
+   */
+  resolveQiangGang(declarer, cardId, chosen) {
+    if (!chosen) {
+      this.completeJiaGang(declarer, cardId);
+      return;
+    }
+
+    // 被抢的牌视同打出，留在加杠玩家的弃牌区
+    const [robbedCard] = this.removeMatchingCards(declarer, cardId, 1);
+    this.data.players[declarer].discardedCards.push(robbedCard);
+    this.declareWin(chosen.position, robbedCard, {
+      from: declarer,
+      winType: WIN_TYPES.QIANG_GANG_HU
+    });
+  }
+
+  /**
+   * 记录游戏历史
+   */
+  recordAction(playerPosition, action, cards = [], extra = {}) {
+    this.data.lastAction = action;
+    this.data.gameHistory.push({
+      player: playerPosition,
+      action,
+      cards,
+      ...extra,
+      timestamp: new Date()
+    });
+  }
+
+  /**
+   * 玩家胡牌：选择最优拆分计算番数胡数并结束游戏
+   * @param {Object} options { from: 放出这张牌的玩家位置, winType: 特殊胡牌类型, isSelfDraw: 是否摸牌胡 }
+   * @returns {Object} 胡牌明细
+   */
+  declareWin(playerPosition, winningCard, options = {}) {
+    const { from = null, winType = null, isSelfDraw = false } = options;
+    const player = this.data.players[playerPosition];
+    const evaluation = this.evaluateWin(playerPosition, winningCard, isSelfDraw);
+
+    if (!evaluation) {
+      throw createGameError('无法胡牌', 'CANNOT_HU');
+    }
+
+    this.data.winDetail = {
+      winType: winType || evaluation.winType,
+      pattern: evaluation.winType,
+      winningCard,
+      from,
+      isSelfDraw,
+      fanCount: evaluation.fanCount,
+      rawFanCount: evaluation.fan.rawFanCount,
+      fanItems: evaluation.fan.items,
+      huCount: evaluation.huCount,
+      huItems: evaluation.hu.items,
+      flowerCards: player.flowerCards.length,
+      notation: this.getHandNotation(playerPosition, winningCard)
+    };
+
+    this.recordAction(playerPosition, PLAYER_ACTIONS.HU, [winningCard], {
+      winType: this.data.winDetail.winType
+    });
+    this.endGame(playerPosition, this.data.winDetail.winType, evaluation.fanCount, evaluation.huCount);
+
+    return this.data.winDetail;
+  }
+
+  /**
+   * 获取玩家手牌的简写记法（用于日志和问题反馈）
+   * 指定胡的牌时，手中的这张牌单独记为"胡:"
+   */
+  getHandNotation(playerPosition, winningCard = null) {
+    const player = this.data.players[playerPosition];
+    const handCards = [...player.handCards];
+
+    const index = winningCard ? handCards.indexOf(winningCard) : -1;
+    if (index > -1) {
+      handCards.splice(index, 1);
+    }
+
+    return Card.formatHand({
+      handCards,
+      melds: player.exposedCards,
+      flowerCards: player.flowerCards,
+      winningCard
+    });
+  }
+
+  /**
+   * 检查是否可以胡牌（只查计数，需要拆分时用 getWinningDecompositions）
+   */
+  canHu(playerPosition, cardId = null) {
+    const counts = this.copyCounts(playerPosition);
+    if (cardId) {
+      const index = Card.getTileIndexById(cardId);
+      if (index < 0) return false;
+      counts[index]++;
+    }
+
+    return WinChecker.canComplete(counts, this.getSetsNeeded(playerPosition));
+  }
+
+  /**
+   * 获取玩家胡牌的所有拆分方式（供计分选择最优拆分）
+   */
+  getWinningDecompositions(playerPosition, cardId = null) {
+    const player = this.data.players[playerPosition];
+    const testCards = [...player.handCards];
+
+    if (cardId) {
+      testCards.push(cardId);
+    }
+
+    return this.findWinningDecompositions(testCards, player.exposedCards);
+  }
+
+  /**
+   * 检查是否可以碰牌
+   */
+  canPeng(playerPosition, cardId) {
+    return this.handCounts[playerPosition].count(Card.getTileIndexById(cardId)) >= 2;
+  }
+
+  /**
+   * 检查是否可以杠牌
+   */
+  canGang(playerPosition, cardId) {
+    return this.handCounts[playerPosition].count(Card.getTileIndexById(cardId)) >= 3;
+  }
+
+  /**
+   * 检查是否可以吃牌
+   */
+  canChi(playerPosition, cardId) {
+    const index = Card.getTileIndexById(cardId);
+    
+    // 只有数字牌可以吃
+    if (index < 0 || index >= 27) return false;
+
+    // 这张牌可以在顺子的头、中、尾
+    return CHI_SHAPES.some(({ offsets }) => this.fitsChiShape(playerPosition, index, offsets));
+  }
+
+  /**
+   * 手中是否有与被吃牌组成顺子的两张牌（不能跨花色）
+   */
+  fitsChiShape(playerPosition, index, offsets) {
+    const counts = this.handCounts[playerPosition];
+    const value = index % 9;
+
+    return offsets.every(offset =>
+      value + offset >= 0 && value + offset <= 8 && counts.count(index + offset) > 0);
+  }
+
+  /**
+   * 列出吃这张牌的所有合法组合
+   * @returns {Array} [{ type, handCards, cards }]，handCards 为要亮出的两张手牌，cards 为按大小排好的整组顺子
+   */
+  getChiOptions(playerPosition, cardId) {
+    const index = Card.getTileIndexById(cardId);
+    if (index < 0 || index >= 27) return [];
+
+    const player = this.data.players[playerPosition];
+    const pick = tileIndex => player.handCards.find(id => Card.getTileIndexById(id) === tileIndex);
+
+    return CHI_SHAPES
+      .filter(({ offsets }) => this.fitsChiShape(playerPosition, index, offsets))
+      .map(({ type, offsets }) => {
+        const handCards = offsets.map(offset => pick(index + offset));
+        return { type, handCards, cards: this.sortByTileIndex([...handCards, cardId]) };
+      });
+  }
+
+  /**
+   * 获取玩家在当前抢牌窗口中可选的吃牌组合，不能吃或已响应时为空
+   */
+  getPendingChiOptions(playerPosition) {
+    const window = this.data.claimWindow;
+    if (!window || window.kind !== CLAIM_KINDS.DISCARD) return [];
+
+    const entry = window.eligible.find(item => item.position === playerPosition);
+    const responded = window.responses.some(response => response.position === playerPosition);
+    if (!entry || responded || !entry.actions.includes(PLAYER_ACTIONS.CHI)) return [];
+
+    return this.getChiOptions(playerPosition, window.cardId);
+  }
+
+  /**
+   * 按牌种顺序排列牌ID
+   */
+  sortByTileIndex(cardIds) {
+    return [...cardIds].sort((a, b) => Card.getTileIndexById(a) - Card.getTileIndexById(b));
+  }
+
+  /**
+   * 检查是否为胡牌
+   */
+  isWinningHand(handCards, exposedCards) {
+    return this.findWinningDecompositions(handCards, exposedCards).length > 0;
+  }
+
+  /**
+   * 查找胡牌拆分（一对将牌 + 四组面子，亮出的牌组按原样计入）
+   */
+  findWinningDecompositions(handCards, exposedCards = []) {
+    return WinChecker.findDecompositions(handCards, exposedCards);
+  }
+
+  /**
+   * 轮到下一个玩家
+   */
+  nextPlayer() {
+    // 摸到只剩保留的墩数时流局
+    if (this.getLiveWallCount() === 0) {
+      this.endInDraw();
+      return;
+    }
+
+    this.data.currentPlayer = (this.data.currentPlayer + 1) % 4;
+    
+    // 轮到的玩家摸牌，摸到花牌自动补花
+    this.drawForPlayer(this.data.currentPlayer, DRAW_SOURCES.WALL);
+  }
+
+  /**
+   * 计算花牌番数（按手牌计数中的花牌位图，与胡牌结算相同）
+   */
+  calculateFlowerFan(playerPosition) {
+    const player = this.data.players[playerPosition];
+    return FanCalculator.getFlowerItems(player.flowerCards, player.feng, this.handCounts[playerPosition].flowerMask)
+      .reduce((sum, item) => sum + item.fan, 0);
+  }
+
+  /**
+   * 胡牌结算评估：对每种拆分计算胡数和番数，取当前计分模式下得分最高的一种
+   * @returns {Object|null} { winType, fanCount, huCount, points, fan, hu, decomposition }，不能胡牌时返回null
+   */
+  evaluateWin(playerPosition, winningCard, isSelfDraw = false) {
+    const player = this.data.players[playerPosition];
+    const decompositions = this.getWinningDecompositions(playerPosition, isSelfDraw ? null : winningCard);
+
+    // 胡牌前的手牌只听这一张时才可能算夹中
+    const waitingCounts = this.copyCounts(playerPosition, isSelfDraw ? winningCard : null);
+    const isSingleWait = WinChecker.getWaitingIndexes(waitingCounts, this.getSetsNeeded(playerPosition)).length === 1;
+
+    let best = null;
+    decompositions.forEach(decomposition => {
+      const hu = HuCalculator.calculate(decomposition, {
+        flowerCards: player.flowerCards,
+        winningCard,
+        isSelfDraw,
+        isSingleWait
+      });
+      const fan = FanCalculator.calculate(decomposition, {
+        flowerCards: player.flowerCards,
+        feng: player.feng,
+        flowerMask: this.handCounts[playerPosition].flowerMask
+      });
+
+      const { points } = ScoreCalculator.calculate(this.data.mode, hu.huCount, fan.fanCount);
+
+      const better = !best ||
+        points > best.points ||
+        (points === best.points && fan.fanCount > best.fanCount) ||
+        (points === best.points && fan.fanCount === best.fanCount && hu.huCount > best.huCount);
+
+      if (better) {
+        best = {
+          winType: fan.pattern,
+          fanCount: fan.fanCount,
+          huCount: hu.huCount,
+          points,
+          fan,
+          hu,
+          decomposition
+        };
+      }
+    });
+
+    return best;
+  }
+
+  /**
+   * 游戏结束
    */
   endGame(winner, winType, fanCount, huCount) {
     this.data.state = GAME_STATES.FINISHED;
@@ -489,6 +1958,11 @@ class Game {
     this.data.fanCount = fanCount;
     this.data.huCount = huCount;
     this.data.endTime = new Date();
+
+    // 本局结束，公布洗牌种子
+    if (this.data.shuffleProof) {
+      this.data.shuffleProof.revealedAt = this.data.endTime;
+    }
     
     // 计算分数
     this.calculateScores();
@@ -498,21 +1972,156 @@ class Game {
    * 计算分数
    */
   calculateScores() {
-    // 根据游戏模式计算分数
-    // 这里需要实现宁海麻将的复杂计分规则
-    // TODO: 实现完整的计分逻辑
+    this.data.players.forEach(player => {
+      player.score = 0;
+    });
+
+    const winner = this.data.winner;
+    if (winner === undefined || winner === null) {
+      this.data.scoreDetail = null;
+      this.data.settlement = null;
+      return;
+    }
+
+    const detail = ScoreCalculator.calculate(this.data.mode, this.data.huCount || 0, this.data.fanCount || 0);
+
+    // 自摸由其他三家各付一份；点炮（含被抢杠）由放出这张牌的玩家支付
+    const winDetail = this.data.winDetail;
+    const isSelfDraw = Boolean(winDetail && winDetail.isSelfDraw);
+    let discarder = null;
+    if (!isSelfDraw) {
+      discarder = winDetail && winDetail.from !== undefined ? winDetail.from : this.getLastDiscarder();
+    }
+
+    const payers = discarder !== null && discarder !== winner
+      ? [discarder]
+      : this.data.players.map(player => player.position).filter(position => position !== winner);
+
+    detail.payments = payers.map(position => ({
+      from: position,
+      to: winner,
+      amount: detail.silver
+    }));
+
+    // 三摊玩家胡牌时，最早违反三摊的玩家包牌，替其他人付全部份额
+    const liability = (this.data.liabilities || []).find(record => record.sanTanPlayer === winner);
+    if (liability) {
+      detail.liability = { offender: liability.offender, cardId: liability.cardId };
+      detail.payments = [{
+        from: liability.offender,
+        to: winner,
+        amount: detail.silver * payers.length,
+        baoPai: true
+      }];
+    }
+
+    // 没胡三家之间按各自胡数结算
+    const loserHands = this.data.players
+      .filter(player => player.position !== winner)
+      .map(player => this.evaluateLoserHand(player.position));
+    const loserTransfers = ScoreCalculator.settleLosers(this.data.mode, loserHands);
+
+    const transfers = [
+      ...detail.payments.map(payment => ({ ...payment, reason: 'win' })),
+      ...loserTransfers.map(transfer => ({ ...transfer, reason: 'loser' }))
+    ];
+
+    const matrix = this.data.players.map(() => this.data.players.map(() => 0));
+    transfers.forEach(transfer => {
+      matrix[transfer.from][transfer.to] += transfer.amount;
+      this.data.players[transfer.from].score -= transfer.amount;
+      this.data.players[transfer.to].score += transfer.amount;
+    });
+
+    this.data.scoreDetail = detail;
+    this.data.settlement = {
+      loserHands,
+      transfers,
+      matrix,
+      totals: this.data.players.map(player => player.score)
+    };
+  }
+
+  /**
+   * 计算没胡玩家手上的胡数（明牌组、手中暗刻和花牌）
+   */
+  evaluateLoserHand(playerPosition) {
+    const player = this.data.players[playerPosition];
+
+    // 手中三张及以上相同的牌按暗刻计算
+    const groups = new Map();
+    player.handCards.forEach(cardId => {
+      const index = this.getCardById(cardId).getTileIndex();
+      if (!groups.has(index)) groups.set(index, []);
+      groups.get(index).push(cardId);
+    });
+
+    const concealedPungs = [...groups.values()]
+      .filter(cards => cards.length >= 3)
+      .map(cards => ({
+        type: MELD_TYPES.PENG,
+        cards: cards.slice(0, 3),
+        concealed: true
+      }));
+
+    const result = HuCalculator.calculate({
+      pair: null,
+      melds: [...player.exposedCards, ...concealedPungs]
+    }, {
+      flowerCards: player.flowerCards
+    });
+
+    return {
+      position: playerPosition,
+      huCount: result.huCount,
+      items: result.items
+    };
+  }
+
+  /**
+   * 获取最后一个出牌的玩家位置
+   */
+  getLastDiscarder() {
+    for (let i = this.data.gameHistory.length - 1; i >= 0; i--) {
+      const record = this.data.gameHistory[i];
+      if (record.action === PLAYER_ACTIONS.DISCARD) {
+        return record.player;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 获取对外公布的洗牌证明，本局结束前不返回种子
+   */
+  getShuffleProof() {
+    const proof = this.data.shuffleProof;
+    if (!proof) return null;
+
+    const revealed = Boolean(proof.revealedAt);
+    return {
+      algorithm: proof.algorithm,
+      commitment: proof.commitment,
+      seed: revealed ? proof.seed : null,
+      revealedAt: proof.revealedAt
+    };
   }
 
   /**
    * 获取游戏状态快照
+   * @param {number|null} viewerPosition 查看者位置，其他玩家的暗杠对查看者隐藏
    */
-  getGameState() {
+  getGameState(viewerPosition = null) {
+    const isHiddenFrom = owner => owner !== viewerPosition;
+
     return {
       roomId: this.data.roomId,
       state: this.data.state,
       mode: this.data.mode,
       currentPlayer: this.data.currentPlayer,
       dealer: this.data.dealer,
+      dice: this.data.dice,
+      shuffleProof: this.getShuffleProof(),
       round: this.data.round,
       players: this.data.players.map(player => ({
         userId: player.userId,
@@ -520,13 +2129,34 @@ class Game {
         feng: player.feng,
         handCardCount: player.handCards.length,
         discardedCards: player.discardedCards,
-        exposedCards: player.exposedCards,
+        exposedCards: player.exposedCards.map(meld => (
+          meld.concealed && isHiddenFrom(player.position)
+            ? { type: meld.type, cards: [], cardCount: meld.cards.length, from: meld.from, concealed: true }
+            : meld
+        )),
         flowerCards: player.flowerCards,
         score: player.score
       })),
       lastDiscardedCard: this.data.lastDiscardedCard,
       remainingCards: this.deck.getRemainingCount(),
-      gameHistory: this.data.gameHistory.slice(-10) // 只返回最近10条历史
+      liveWallCount: this.getLiveWallCount(),
+      firstLap: this.isFirstLap(),
+      sanTan: this.getSanTanStates(),
+      liabilities: this.data.liabilities,
+      winner: this.data.winner,
+      winType: this.data.winType,
+      // 本局结束后公开其他玩家听的牌
+      revealedWaits: this.data.state === GAME_STATES.FINISHED
+        ? this.data.players
+          .map((player, index) => ({ position: index, ...this.getTenpaiInfo(index) }))
+          .filter(info => info.position !== this.data.winner)
+        : [],
+      // 只返回最近10条历史
+      gameHistory: this.data.gameHistory.slice(-10).map(record => (
+        record.gangType === GANG_TYPES.AN && isHiddenFrom(record.player)
+          ? { player: record.player, action: record.action, gangType: record.gangType, cards: [], timestamp: record.timestamp }
+          : record
+      ))
     };
   }
 }
@@ -540,5 +2170,12 @@ module.exports = {
   GAME_STATES,
   PLAYER_ACTIONS,
   FENG_POSITIONS,
-  GAME_MODES
+  GAME_MODES,
+  GANG_TYPES,
+  CLAIM_KINDS,
+  WIN_TYPES,
+  DRAW_SOURCES,
+  CLAIM_PRIORITY,
+  CHI_TYPES,
+  FIRST_LAP_DISCARD_TYPES
 };
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const { MatchReport } = require('../services/matchReport');
 
 /**
  * 房间状态枚举
@@ -19,6 +20,11 @@ const ROOM_TYPES = {
   PRIVATE: 'private'       // 私人房间
 };
 
+/**
+ * 开局需要的玩家数
+ */
+const SEATS_PER_GAME = 4;
+
 /**
  * 房间Schema
  */
@@ -116,12 +122,34 @@ const roomSchema = new mongoose.Schema({
     autoStart: {
       type: Boolean,
       default: false
+    },
+    firstLapRestriction: {    // 第一圈只打筒万、不能吃碰杠
+      type: Boolean,
+      default: true
+    },
+    discardAdvice: {          // 允许玩家使用出牌建议
+      type: Boolean,
+      default: false
     }
   },
   currentGame: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Game'
   },
+  match: {                    // 多局对局进度
+    round: {                  // 已开始的局数
+      type: Number,
+      default: 0
+    },
+    dealer: {                 // 下一局的庄家，为空时掷骰子定庄
+      type: Number,
+      default: null
+    },
+    totalScores: {            // 各位置累计得分
+      type: [Number],
+      default: [0, 0, 0, 0]
+    }
+  },
   gameHistory: [{
     gameId: {
       type: mongoose.Schema.Types.ObjectId,
@@ -129,9 +157,26 @@ const roomSchema = new mongoose.Schema({
     },
     startTime: Date,
     endTime: Date,
-    winner: Number,
+    round: Number,            // 第几局
+    dealer: Number,           // 本局庄家
+    winner: Number,           // 胡牌玩家位置，流局时为空
+    isDraw: {                 // 是否流局
+      type: Boolean,
+      default: false
+    },
+    winType: String,          // 胡牌类型
+    pattern: String,          // 牌型
+    isSelfDraw: Boolean,      // 是否自摸
+    from: Number,             // 点炮玩家位置
+    fanCount: Number,
+    huCount: Number,
+    silver: Number,           // 胡牌玩家每份所得
     scores: [Number]
   }],
+  finalReport: {              // 整场对局结束后的大结算
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
   password: String,  // 私人房间密码
   isActive: {
     type: Boolean,
@@ -241,8 +286,8 @@ class Room {
       throw new Error('用户不在房间中');
     }
 
-    if (this.data.state === ROOM_STATES.PLAYING) {
-      // 游戏中只标记为离线，不移除
+    if (this.data.state === ROOM_STATES.PLAYING || this.isMatchInProgress()) {
+      // 游戏中或两局之间只标记为离线，不移除，保持座位与累计得分对应
       this.data.players[playerIndex].isOnline = false;
       this.data.players[playerIndex].lastActiveTime = new Date();
     } else {
@@ -273,11 +318,20 @@ class Room {
       throw new Error('用户不在房间中');
     }
 
+    if (this.data.state === ROOM_STATES.PLAYING) {
+      throw new Error('游戏进行中');
+    }
+
+    // 整场对局结束后重新准备即开始新的对局
+    if (this.data.state === ROOM_STATES.FINISHED) {
+      this.resetMatch();
+    }
+
     player.isReady = isReady;
     player.lastActiveTime = new Date();
 
     // 检查是否所有玩家都准备好了
-    const allReady = this.data.players.length >= 2 && 
+    const allReady = this.data.players.length === SEATS_PER_GAME &&
                      this.data.players.every(p => p.isReady);
 
     if (allReady) {
@@ -292,18 +346,68 @@ class Room {
   }
 
   /**
-   * 开始游戏
+   * 获取下一局的局数和庄家
+   */
+  getNextHand() {
+    return {
+      round: this.data.match.round + 1,
+      dealer: this.data.match.dealer
+    };
+  }
+
+  /**
+   * 判断整场对局是否已打满局数
+   */
+  isMatchOver() {
+    return this.data.match.round >= this.data.gameSettings.maxRounds;
+  }
+
+  /**
+   * 判断是否处于一场对局中（已开始且未打满局数）
+   */
+  isMatchInProgress() {
+    return this.data.match.round > 0 && !this.isMatchOver();
+  }
+
+  /**
+   * 重置对局进度
+   * 上一场的大结算保留到新对局第一局开始，玩家准备期间仍可查看
    */
-  async startGame() {
+  resetMatch() {
+    this.data.match = {
+      round: 0,
+      dealer: null,
+      totalScores: [0, 0, 0, 0]
+    };
+  }
+
+  /**
+   * 开始一局游戏
+   * @param {ObjectId} gameId 本局游戏ID
+   * @param {number} dealer 本局庄家
+   */
+  async startGame(gameId, dealer) {
     if (this.data.state !== ROOM_STATES.READY) {
       throw new Error('房间状态不允许开始游戏');
     }
 
-    if (this.data.players.length < 2) {
+    if (this.data.players.length !== SEATS_PER_GAME) {
       throw new Error('玩家数量不足');
     }
 
+    if (this.isMatchOver()) {
+      throw new Error('对局已打满局数');
+    }
+
+    // 新对局第一局开始，上一场的大结算不再需要
+    if (this.data.match.round === 0) {
+      this.data.finalReport = null;
+    }
+
     this.data.state = ROOM_STATES.PLAYING;
+    this.data.currentGame = gameId;
+    this.data.match.round += 1;
+    this.data.match.dealer = dealer;
     
     // 重置玩家准备状态
     this.data.players.forEach(player => {
@@ -314,10 +418,19 @@ class Room {
   }
 
   /**
-   * 游戏结束
+   * 一局游戏结束
+   * 庄家胡牌或流局时连庄，否则下家坐庄；打满局数后整场对局结束，否则等待玩家准备下一局
+   * @returns {boolean} 整场对局是否结束
    */
   async gameFinished(gameResult) {
-    this.data.state = ROOM_STATES.FINISHED;
+    // 同一局只记录一次
+    if (this.data.gameHistory.some(record => String(record.gameId) === String(gameResult.gameId))) {
+      return this.data.state === ROOM_STATES.FINISHED;
+    }
+
+    const isDraw = gameResult.winner === null || gameResult.winner === undefined;
+    const dealer = gameResult.dealer;
+
     this.data.currentGame = null;
     
     // 记录游戏历史
@@ -325,16 +438,64 @@ class Room {
       gameId: gameResult.gameId,
       startTime: gameResult.startTime,
       endTime: gameResult.endTime,
+      round: this.data.match.round,
+      dealer,
       winner: gameResult.winner,
+      isDraw,
+      winType: gameResult.winType,
+      pattern: gameResult.pattern,
+      isSelfDraw: gameResult.isSelfDraw,
+      from: gameResult.from,
+      fanCount: gameResult.fanCount,
+      huCount: gameResult.huCount,
+      silver: gameResult.silver,
       scores: gameResult.scores
     });
 
-    // 重置玩家状态
+    this.data.match.totalScores = this.data.match.totalScores
+      .map((total, position) => total + (gameResult.scores[position] || 0));
+    this.data.match.dealer = isDraw || gameResult.winner === dealer
+      ? dealer
+      : (dealer + 1) % this.data.players.length;
+
+    const matchOver = this.isMatchOver();
+    this.data.state = matchOver ? ROOM_STATES.FINISHED : ROOM_STATES.WAITING;
+
+    if (matchOver && !this.data.finalReport) {
+      this.data.finalReport = this.buildFinalReport();
+    }
+
+    // 重置玩家状态，等待准备下一局
     this.data.players.forEach(player => {
       player.isReady = false;
     });
 
     await this.save();
+
+    return matchOver;
+  }
+
+  /**
+   * 根据本场对局的每一局记录生成大结算
+   */
+  buildFinalReport() {
+    const hands = this.data.gameHistory.slice(-this.data.match.round);
+
+    // 牌局位置、每局 scores 和累计得分都按玩家列表顺序编号，与房间座位号不一定相同
+    const players = this.data.players.map((player, index) => ({
+      position: index,
+      seat: player.position,
+      userId: player.userId && player.userId._id ? player.userId._id : player.userId,
+      nickname: player.nickname,
+      avatar: player.avatar
+    }));
+
+    return {
+      roomId: this.data.roomId,
+      roomCode: this.data.roomCode,
+      mode: this.data.gameSettings.mode,
+      ...MatchReport.build(hands, players)
+    };
   }
 
   /**
@@ -398,6 +559,7 @@ class Room {
       maxPlayers: this.data.maxPlayers,
       gameSettings: this.data.gameSettings,
       currentGame: this.data.currentGame,
+      match: this.data.match,
       createdAt: this.data.createdAt
     };
   }
@@ -416,6 +578,14 @@ class Room {
     }));
   }
 
+  /**
+   * 获取房主的座位（定庄时由房主掷骰子）
+   */
+  getOwnerPosition() {
+    const index = this.data.players.findIndex(p => String(p.userId._id || p.userId) === String(this.data.owner._id || this.data.owner));
+    return index === -1 ? 0 : index;
+  }
+
   /**
    * 检查用户是否在房间中
    */
@@ -526,5 +696,6 @@ module.exports = {
   Room,
   RoomModel,
   ROOM_STATES,
-  ROOM_TYPES
+  ROOM_TYPES,
+  SEATS_PER_GAME
 };
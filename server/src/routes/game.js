@@ -1,14 +1,51 @@
 const express = require('express');
 const router = express.Router();
 const { body, query, validationResult } = require('express-validator');
-const { authenticate, checkUserStatus } = require('../middleware/auth');
+const { authenticate, checkUserStatus, requireAdmin } = require('../middleware/auth');
 const rateLimiter = require('../middleware/rateLimiter');
+const GameController = require('../controllers/gameController');
 const logger = require('../utils/logger');
 
 // 所有游戏路由都需要认证
 router.use(authenticate);
 router.use(checkUserStatus);
 
+/**
+ * @route   POST /api/game/dev/stacked
+ * @desc    按指定牌局创建游戏（开发测试用，生产环境不可用）
+ * @access  Admin
+ */
+router.post('/dev/stacked',
+  requireAdmin,
+  [
+    body('roomId').notEmpty().isString().withMessage('房间ID不能为空'),
+    body('stack').isObject().withMessage('牌局必须是对象'),
+    body('stack.hands').optional().isArray({ min: 4, max: 4 }).withMessage('需要为四个座位指定起手牌'),
+    body('stack.wall').optional().isString().withMessage('牌墙必须是字符串'),
+    body('stack.tail').optional().isString().withMessage('牌尾必须是字符串'),
+    body('stack.dealer').optional().isInt({ min: 0, max: 3 }).withMessage('庄家座位无效')
+  ],
+  (req, res) => {
+    if (process.env.NODE_ENV === 'production') {
+      return res.status(404).json({
+        success: false,
+        message: '接口不存在'
+      });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: '参数验证失败',
+        errors: errors.array()
+      });
+    }
+
+    return GameController.createGame(req, res);
+  }
+);
+
 /**
  * @route   GET /api/game/:gameId/state
  * @desc    获取游戏状态
@@ -34,6 +71,13 @@ router.get('/:gameId/state', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/game/:gameId/advice
+ * @desc    获取出牌建议（按向听数和有效牌排序，需房间开启）
+ * @access  Private
+ */
+router.get('/:gameId/advice', (req, res) => GameController.getDiscardAdvice(req, res));
+
 /**
  * @route   POST /api/game/:gameId/action
  * @desc    执行游戏操作
@@ -3,6 +3,7 @@ const router = express.Router();
 const { body, query, validationResult } = require('express-validator');
 const { authenticate, checkUserStatus } = require('../middleware/auth');
 const rateLimiter = require('../middleware/rateLimiter');
+const RoomController = require('../controllers/roomController');
 const logger = require('../utils/logger');
 
 // 所有房间路由都需要认证
@@ -156,6 +157,13 @@ router.post('/:roomId/leave', async (req, res) => {
   }
 });
 
+/**
+ * @route   GET /api/room/:roomId/report
+ * @desc    获取整场对局的大结算
+ * @access  Private
+ */
+router.get('/:roomId/report', (req, res) => RoomController.getFinalReport(req, res));
+
 /**
  * @route   GET /api/room/:roomId
  * @desc    获取房间信息
@@ -0,0 +1,159 @@
+const { Card, HandCounts, CARD_TYPES, ZI_CARDS, HUA_CARDS, HUA_FENG_MAP, MELD_TYPES } = require('../models/Card');
+
+/**
+ * 番数封顶（三番封顶，拉子牌）
+ */
+const MAX_FAN = 3;
+
+/**
+ * 番数计算项
+ */
+const FAN_ITEMS = {
+  QING_YI_SE_DUI_DUI_HU: { key: 'qing_yi_se_dui_dui_hu', name: '清一色对对胡', fan: 3 },
+  QING_YI_SE: { key: 'qing_yi_se', name: '清一色', fan: 3 },
+  ZI_YI_SE: { key: 'zi_yi_se', name: '字一色', fan: 3 },
+  HUN_YI_SE: { key: 'hun_yi_se', name: '混一色', fan: 2 },
+  DUI_DUI_HU: { key: 'dui_dui_hu', name: '对对胡', fan: 2 },
+  ZHONG: { key: 'zhong', name: '红中', fan: 1 },
+  FA: { key: 'fa', name: '发财', fan: 1 },
+  BAI: { key: 'bai', name: '白板', fan: 1 },
+  SEAT_FLOWER: { key: 'seat_flower', name: '本位花', fan: 1 },
+  FOUR_SEASONS: { key: 'four_seasons', name: '四季花', fan: 2 },
+  FOUR_PLANTS: { key: 'four_plants', name: '四君子', fan: 2 }
+};
+
+// 中发白对应的番数项
+const DRAGON_ITEMS = {
+  [ZI_CARDS.ZHONG]: FAN_ITEMS.ZHONG,
+  [ZI_CARDS.FA]: FAN_ITEMS.FA,
+  [ZI_CARDS.BAI]: FAN_ITEMS.BAI
+};
+
+/**
+ * 花牌位图（与 HandCounts.flowerMask 相同，第 value-1 位表示这张花）：四季花、四君子和各风位的本位花
+ */
+const flowerBit = value => 1 << (value - 1);
+const flowerMask = values => values.reduce((mask, value) => mask | flowerBit(value), 0);
+const FLOWER_MASKS = {
+  FOUR_SEASONS: flowerMask([HUA_CARDS.CHUN, HUA_CARDS.XIA, HUA_CARDS.QIU, HUA_CARDS.DONG]),
+  FOUR_PLANTS: flowerMask([HUA_CARDS.MEI, HUA_CARDS.LAN, HUA_CARDS.JU, HUA_CARDS.ZHU]),
+  SEAT: Object.entries(HUA_FENG_MAP).reduce((masks, [value, feng]) => {
+    masks[feng] = (masks[feng] || 0) | flowerBit(Number(value));
+    return masks;
+  }, {})
+};
+
+/**
+ * 番数计算服务
+ */
+class FanCalculator {
+
+  /**
+   * 计算一种胡牌拆分的番数
+   * @param {Object} decomposition 胡牌拆分 { pair, melds }
+   * @param {Object} options { flowerCards, feng, flowerMask }，flowerMask 为玩家 HandCounts 中的花牌位图，不传时由 flowerCards 计算
+   * @returns {Object} { fanCount, rawFanCount, capped, pattern, items }
+   */
+  static calculate(decomposition, options = {}) {
+    const { flowerCards = [], feng = null, flowerMask } = options;
+
+    const patternItems = this.getPatternItems(decomposition);
+    const items = [
+      ...patternItems,
+      ...this.getDragonItems(decomposition),
+      ...this.getFlowerItems(flowerCards, feng, flowerMask)
+    ];
+
+    const rawFanCount = items.reduce((sum, item) => sum + item.fan, 0);
+
+    return {
+      fanCount: Math.min(rawFanCount, MAX_FAN),
+      rawFanCount,
+      capped: rawFanCount >= MAX_FAN,
+      pattern: patternItems.length > 0 ? patternItems[0].name : '平胡',
+      items
+    };
+  }
+
+  /**
+   * 牌型番（清一色、字一色、混一色、对对胡）
+   */
+  static getPatternItems(decomposition) {
+    const groups = [decomposition.pair, ...decomposition.melds];
+    const cards = groups.flatMap(group => group.cards.map(cardId => Card.fromId(cardId)));
+
+    const suits = new Set(cards.filter(card => card.isNumber()).map(card => card.type));
+    const hasHonor = cards.some(card => card.type === CARD_TYPES.ZI);
+    const allPungs = decomposition.melds.every(meld => meld.type !== MELD_TYPES.CHI);
+
+    const items = [];
+
+    if (suits.size === 0 && hasHonor) {
+      items.push(this.createItem(FAN_ITEMS.ZI_YI_SE));
+    } else if (suits.size === 1 && !hasHonor) {
+      // 清一色同时对对胡仍为三番
+      items.push(this.createItem(allPungs ? FAN_ITEMS.QING_YI_SE_DUI_DUI_HU : FAN_ITEMS.QING_YI_SE));
+    } else {
+      if (suits.size === 1 && hasHonor) {
+        items.push(this.createItem(FAN_ITEMS.HUN_YI_SE));
+      }
+      if (allPungs) {
+        items.push(this.createItem(FAN_ITEMS.DUI_DUI_HU));
+      }
+    }
+
+    return items;
+  }
+
+  /**
+   * 中发白碰、暗刻或杠各一番
+   */
+  static getDragonItems(decomposition) {
+    return decomposition.melds
+      .filter(meld => meld.type !== MELD_TYPES.CHI)
+      .map(meld => ({ meld, card: Card.fromId(meld.cards[0]) }))
+      .filter(({ card }) => card.type === CARD_TYPES.ZI && DRAGON_ITEMS[card.value])
+      .map(({ meld, card }) => this.createItem(DRAGON_ITEMS[card.value], meld.cards));
+  }
+
+  /**
+   * 花牌番（本位花每张一番，四季花或四君子两番）
+   * 按花牌位图判断，只在算上番时才找出对应的花牌
+   */
+  static getFlowerItems(flowerCards, feng, mask = HandCounts.fromCards([], flowerCards).flowerMask) {
+    const cardsIn = setMask => flowerCards.filter(cardId => (setMask & flowerBit(Card.fromId(cardId).value)) !== 0);
+    const items = [];
+
+    const seatMask = mask & (FLOWER_MASKS.SEAT[feng] || 0);
+    if (seatMask !== 0) {
+      cardsIn(seatMask).forEach(cardId => items.push(this.createItem(FAN_ITEMS.SEAT_FLOWER, [cardId])));
+    }
+
+    [[FLOWER_MASKS.FOUR_SEASONS, FAN_ITEMS.FOUR_SEASONS], [FLOWER_MASKS.FOUR_PLANTS, FAN_ITEMS.FOUR_PLANTS]]
+      .forEach(([setMask, item]) => {
+        if ((mask & setMask) === setMask) {
+          items.push(this.createItem(item, cardsIn(setMask)));
+        }
+      });
+
+    return items;
+  }
+
+  /**
+   * 创建番数明细项
+   */
+  static createItem(item, cards = []) {
+    return {
+      key: item.key,
+      name: item.name,
+      fan: item.fan,
+      cards: [...cards]
+    };
+  }
+}
+
+module.exports = {
+  FanCalculator,
+  FAN_ITEMS,
+  MAX_FAN
+};
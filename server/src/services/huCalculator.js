@@ -0,0 +1,142 @@
+const { Card, MELD_TYPES } = require('../models/Card');
+
+/**
+ * 胡数计算项（宁海麻将胡数表）
+ */
+const HU_ITEMS = {
+  FLOWER: { key: 'flower', name: '花牌', hu: 4 },
+  TERMINAL_PENG: { key: 'terminal_peng', name: '幺九牌碰出', hu: 4 },
+  TERMINAL_AN_KE: { key: 'terminal_an_ke', name: '幺九牌暗刻', hu: 8 },
+  TERMINAL_AN_GANG: { key: 'terminal_an_gang', name: '幺九牌暗杠', hu: 32 },
+  TERMINAL_MING_GANG: { key: 'terminal_ming_gang', name: '幺九牌明杠', hu: 16 },
+  SIMPLE_PENG: { key: 'simple_peng', name: '其他牌碰出', hu: 2 },
+  SIMPLE_AN_KE: { key: 'simple_an_ke', name: '其他牌暗刻', hu: 4 },
+  SIMPLE_AN_GANG: { key: 'simple_an_gang', name: '其他牌暗杠', hu: 16 },
+  SIMPLE_MING_GANG: { key: 'simple_ming_gang', name: '其他牌明杠', hu: 8 },
+  SELF_DRAW: { key: 'self_draw', name: '自摸', hu: 2 },
+  CLOSED_WAIT: { key: 'closed_wait', name: '夹中胡', hu: 2 }
+};
+
+/**
+ * 胡数计算服务
+ */
+class HuCalculator {
+
+  /**
+   * 计算一种胡牌拆分的胡数
+   * 胡的牌可能落在多个牌组中，逐一尝试并取胡数最高的一种
+   * @param {Object} decomposition 胡牌拆分 { pair, melds }
+   * @param {Object} options { flowerCards, winningCard, isSelfDraw, isSingleWait }
+   * @returns {Object} { huCount, items }
+   */
+  static calculate(decomposition, options = {}) {
+    const { winningCard = null } = options;
+
+    if (!winningCard) {
+      return this.calculateWithWinningGroup(decomposition, null, options);
+    }
+
+    const winningIndex = Card.fromId(winningCard).getTileIndex();
+    const groups = [decomposition.pair, ...decomposition.melds];
+    let best = null;
+
+    groups.forEach(group => {
+      if (!group.concealed) return;
+      if (!group.cards.some(cardId => Card.fromId(cardId).getTileIndex() === winningIndex)) return;
+
+      const result = this.calculateWithWinningGroup(decomposition, group, options);
+      if (!best || result.huCount > best.huCount) {
+        best = result;
+      }
+    });
+
+    return best || this.calculateWithWinningGroup(decomposition, null, options);
+  }
+
+  /**
+   * 在确定胡的牌所在牌组后计算胡数
+   */
+  static calculateWithWinningGroup(decomposition, winningGroup, options) {
+    const { flowerCards = [], winningCard = null, isSelfDraw = false, isSingleWait = true } = options;
+    const items = [];
+
+    flowerCards.forEach(cardId => {
+      items.push(this.createItem(HU_ITEMS.FLOWER, [cardId]));
+    });
+
+    decomposition.melds.forEach(meld => {
+      // 点炮胡时，靠别人打出的牌凑成的刻子按碰出计算
+      const completedByDiscard = meld === winningGroup && !isSelfDraw;
+      const item = this.getMeldItem(meld, completedByDiscard);
+      if (item) {
+        items.push(this.createItem(item, meld.cards));
+      }
+    });
+
+    if (isSelfDraw) {
+      items.push(this.createItem(HU_ITEMS.SELF_DRAW, winningCard ? [winningCard] : []));
+    }
+
+    // 只听这一张时才算夹中，如 13 夹 2 但同时还能胡别的牌不算
+    if (winningGroup && isSingleWait && this.isClosedWait(winningGroup, winningCard)) {
+      items.push(this.createItem(HU_ITEMS.CLOSED_WAIT, [winningCard]));
+    }
+
+    return {
+      huCount: items.reduce((sum, item) => sum + item.hu, 0),
+      items
+    };
+  }
+
+  /**
+   * 获取牌组对应的胡数项
+   */
+  static getMeldItem(meld, completedByDiscard = false) {
+    if (meld.type === MELD_TYPES.CHI) return null;
+
+    const terminal = Card.fromId(meld.cards[0]).isTerminalOrHonor();
+
+    if (meld.type === MELD_TYPES.GANG) {
+      if (meld.concealed) {
+        return terminal ? HU_ITEMS.TERMINAL_AN_GANG : HU_ITEMS.SIMPLE_AN_GANG;
+      }
+      return terminal ? HU_ITEMS.TERMINAL_MING_GANG : HU_ITEMS.SIMPLE_MING_GANG;
+    }
+
+    if (meld.type === MELD_TYPES.PENG) {
+      if (meld.concealed && !completedByDiscard) {
+        return terminal ? HU_ITEMS.TERMINAL_AN_KE : HU_ITEMS.SIMPLE_AN_KE;
+      }
+      return terminal ? HU_ITEMS.TERMINAL_PENG : HU_ITEMS.SIMPLE_PENG;
+    }
+
+    return null;
+  }
+
+  /**
+   * 判断是否为夹中胡（胡的牌是顺子中间的那张）
+   */
+  static isClosedWait(group, winningCard) {
+    if (group.type !== MELD_TYPES.CHI || !winningCard) return false;
+
+    const values = group.cards.map(cardId => Card.fromId(cardId).value).sort((a, b) => a - b);
+    return Card.fromId(winningCard).value === values[1];
+  }
+
+  /**
+   * 创建胡数明细项
+   */
+  static createItem(item, cards) {
+    return {
+      key: item.key,
+      name: item.name,
+      hu: item.hu,
+      cards: [...cards]
+    };
+  }
+}
+
+module.exports = {
+  HuCalculator,
+  HU_ITEMS
+};
@@ -0,0 +1,84 @@
+/**
+ * 大结算服务
+ * 根据整场对局每一局的记录汇总每位玩家的战绩
+ */
+class MatchReport {
+
+  /**
+   * 生成大结算报告
+   * @param {Array} hands 本场对局每一局的记录（Room.gameHistory）
+   * @param {Array} players 房间玩家 [{ position, seat, userId, nickname, avatar }]，position 为牌局中的位置
+   * @returns {Object} { rounds, players, hands, generatedAt }
+   */
+  static build(hands, players) {
+    const stats = players.map(player => ({
+      position: player.position,
+      seat: player.seat,
+      userId: player.userId,
+      nickname: player.nickname,
+      avatar: player.avatar,
+      totalScore: 0,
+      winCount: 0,
+      selfDrawCount: 0,
+      dealerWinCount: 0,
+      dealInCount: 0,
+      biggestHand: null
+    }));
+
+    const findStats = position => stats.find(item => item.position === position);
+
+    hands.forEach(hand => {
+      (hand.scores || []).forEach((score, position) => {
+        const item = findStats(position);
+        if (item) item.totalScore += score;
+      });
+
+      if (hand.isDraw) return;
+
+      const winner = findStats(hand.winner);
+      if (winner) {
+        winner.winCount++;
+        if (hand.isSelfDraw) winner.selfDrawCount++;
+        if (hand.winner === hand.dealer) winner.dealerWinCount++;
+
+        const silver = hand.silver || 0;
+        if (!winner.biggestHand || silver > winner.biggestHand.silver) {
+          winner.biggestHand = {
+            round: hand.round,
+            gameId: hand.gameId,
+            winType: hand.winType,
+            pattern: hand.pattern,
+            fanCount: hand.fanCount,
+            huCount: hand.huCount,
+            silver
+          };
+        }
+      }
+
+      // 点炮（含被抢杠）记为放冲一次
+      if (!hand.isSelfDraw && hand.from !== null && hand.from !== undefined) {
+        const discarder = findStats(hand.from);
+        if (discarder) discarder.dealInCount++;
+      }
+    });
+
+    return {
+      rounds: hands.length,
+      players: stats,
+      hands: hands.map(hand => ({
+        round: hand.round,
+        gameId: hand.gameId,
+        dealer: hand.dealer,
+        winner: hand.winner,
+        isDraw: hand.isDraw,
+        winType: hand.winType,
+        scores: [...(hand.scores || [])]
+      })),
+      generatedAt: new Date()
+    };
+  }
+}
+
+module.exports = {
+  MatchReport
+};
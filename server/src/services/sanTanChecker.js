@@ -0,0 +1,60 @@
+const { Card, CARD_TYPES, MELD_TYPES } = require('../models/Card');
+
+/**
+ * 构成三摊需要的亮牌组数
+ */
+const SAN_TAN_MELD_COUNT = 3;
+
+/**
+ * 三摊判断服务
+ * 一家吃碰杠在牌面上有三次且符合规则文档的条件时，其他未听牌的玩家打出相关的牌要包牌
+ */
+class SanTanChecker {
+
+  /**
+   * 判断一家的亮牌是否构成三摊
+   * @param {Array} exposedCards 已亮出的牌组（吃碰杠）
+   * @returns {Object|null} { types, terminals, melds }，types 为不能打的花色，terminals 表示不能打大幺牌
+   */
+  static detect(exposedCards = []) {
+    // 只看牌面上的牌组，暗杠不算
+    const visibleMelds = exposedCards.filter(meld => !meld.concealed);
+    if (visibleMelds.length < SAN_TAN_MELD_COUNT) return null;
+
+    const melds = visibleMelds.slice(0, SAN_TAN_MELD_COUNT);
+    const types = melds.map(meld => Card.fromId(meld.cards[0]).type);
+    const honorCount = types.filter(type => type === CARD_TYPES.ZI).length;
+    const suitTypes = [...new Set(types.filter(type => type !== CARD_TYPES.ZI))];
+
+    // 三次同一色；两字碰加任何一色；一字碰加同一色的两次吃碰杠
+    const sameColor = new Set(types).size === 1
+      || (honorCount === 2 && suitTypes.length === 1)
+      || (honorCount === 1 && suitTypes.length === 1);
+
+    // 牌面上有碰杠三次时，不能打大幺牌
+    const terminals = visibleMelds.filter(meld => meld.type !== MELD_TYPES.CHI).length >= SAN_TAN_MELD_COUNT;
+
+    if (!sameColor && !terminals) return null;
+
+    return {
+      types: sameColor ? [...new Set(types)] : [],
+      terminals,
+      melds: melds.map(meld => ({ type: meld.type, cards: [...meld.cards] }))
+    };
+  }
+
+  /**
+   * 判断打出这张牌是否违反三摊
+   */
+  static isDangerousDiscard(sanTan, cardId) {
+    if (!sanTan) return false;
+
+    const card = Card.fromId(cardId);
+    return sanTan.types.includes(card.type) || (sanTan.terminals && card.isTerminalOrHonor());
+  }
+}
+
+module.exports = {
+  SanTanChecker,
+  SAN_TAN_MELD_COUNT
+};
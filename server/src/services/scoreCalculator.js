@@ -0,0 +1,188 @@
+const { MAX_FAN } = require('./fanCalculator');
+
+/**
+ * 超一进十：不足十胡的部分进为十胡
+ */
+const roundUpToTen = value => Math.ceil(value / 10) * 10;
+
+/**
+ * 银子按胡数一比一计算
+ */
+const directSilver = points => points;
+
+/**
+ * 银子按半进计算：百位以下 0-20胡不加，30-60胡加半，70-100胡进一
+ */
+const halfStepSilver = points => {
+  const hundreds = Math.floor(points / 100) * 100;
+  const remainder = points - hundreds;
+
+  if (remainder <= 20) return hundreds;
+  if (remainder <= 60) return hundreds + 50;
+  return hundreds + 100;
+};
+
+/**
+ * 创建底分计分策略：(底分 + 胡数) × 番倍数（每番翻倍），三番直接封顶
+ */
+const createBaseHuStrategy = ({ name, baseHu, cap, toSilver }) => ({
+  name,
+  baseHu,
+  cap,
+
+  calculatePoints(huCount, fanCount) {
+    if (fanCount >= MAX_FAN) return cap;
+
+    const rawPoints = (baseHu + huCount) * Math.pow(2, fanCount);
+    return Math.min(roundUpToTen(rawPoints), cap);
+  },
+
+  toSilver
+});
+
+/**
+ * 推倒八：不计胡数，按番数查表
+ */
+const TUI_DAO_BA_TABLE = [100, 200, 400, 800];
+
+/**
+ * 没胡三家之间的结算规则：每多出 step 胡收 amount 银，null 表示该关系之间不结算
+ * side 为边家（上下家）之间，opposite 为头家（对家）之间
+ */
+const LOSER_RULES = {
+  yao_ban_san: {
+    side: { step: 10, amount: 5 },
+    opposite: { step: 10, amount: 10 }
+  },
+  yao_ban_liu: {
+    side: { step: 50, amount: 50 },
+    opposite: { step: 30, amount: 50 }
+  },
+  tui_dao_ba: {
+    side: { step: 50, amount: 50 },
+    opposite: { step: 30, amount: 50 }
+  },
+  yao_er_liu: {
+    side: null,
+    opposite: { step: 30, amount: 50 }
+  }
+};
+
+/**
+ * 各计分模式的计分策略
+ */
+const SCORING_STRATEGIES = {
+  yao_ban_san: createBaseHuStrategy({
+    name: '幺半三',
+    baseHu: 30,
+    cap: 300,
+    toSilver: directSilver
+  }),
+
+  yao_ban_liu: createBaseHuStrategy({
+    name: '幺半六',
+    baseHu: 60,
+    cap: 500,
+    toSilver: halfStepSilver
+  }),
+
+  tui_dao_ba: {
+    name: '推倒八',
+    baseHu: 0,
+    cap: TUI_DAO_BA_TABLE[MAX_FAN],
+
+    calculatePoints(huCount, fanCount) {
+      return TUI_DAO_BA_TABLE[Math.min(fanCount, MAX_FAN)];
+    },
+
+    toSilver: directSilver
+  },
+
+  yao_er_liu: createBaseHuStrategy({
+    name: '幺二六',
+    baseHu: 100,
+    cap: 1000,
+    toSilver: halfStepSilver
+  })
+};
+
+/**
+ * 计分服务
+ */
+class ScoreCalculator {
+
+  /**
+   * 获取计分模式对应的策略
+   */
+  static getStrategy(mode) {
+    const strategy = SCORING_STRATEGIES[mode];
+    if (!strategy) {
+      throw new Error(`不支持的计分模式: ${mode}`);
+    }
+    return strategy;
+  }
+
+  /**
+   * 计算胡牌得分
+   * @returns {Object} { mode, modeName, baseHu, huCount, fanCount, points, silver, capped }
+   */
+  static calculate(mode, huCount, fanCount) {
+    const strategy = this.getStrategy(mode);
+    const points = strategy.calculatePoints(huCount, fanCount);
+
+    return {
+      mode,
+      modeName: strategy.name,
+      baseHu: strategy.baseHu,
+      huCount,
+      fanCount,
+      points,
+      silver: strategy.toSilver(points),
+      capped: points >= strategy.cap
+    };
+  }
+
+  /**
+   * 没胡三家之间的结算
+   * @param {string} mode 计分模式
+   * @param {Array} loserHands 没胡玩家的胡数 [{ position, huCount }]
+   * @returns {Array} 转账列表 [{ from, to, amount, relation, huDiff }]
+   */
+  static settleLosers(mode, loserHands) {
+    const rules = LOSER_RULES[mode];
+    if (!rules) {
+      throw new Error(`不支持的计分模式: ${mode}`);
+    }
+
+    const transfers = [];
+
+    for (let i = 0; i < loserHands.length; i++) {
+      for (let j = i + 1; j < loserHands.length; j++) {
+        const a = loserHands[i];
+        const b = loserHands[j];
+        const relation = Math.abs(a.position - b.position) === 2 ? 'opposite' : 'side';
+        const rule = rules[relation];
+        const huDiff = Math.abs(a.huCount - b.huCount);
+
+        if (!rule || huDiff < rule.step) continue;
+
+        const [higher, lower] = a.huCount > b.huCount ? [a, b] : [b, a];
+        transfers.push({
+          from: lower.position,
+          to: higher.position,
+          amount: Math.floor(huDiff / rule.step) * rule.amount,
+          relation,
+          huDiff
+        });
+      }
+    }
+
+    return transfers;
+  }
+}
+
+module.exports = {
+  ScoreCalculator,
+  SCORING_STRATEGIES,
+  LOSER_RULES
+};
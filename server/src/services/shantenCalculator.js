@@ -0,0 +1,168 @@
+const { Card, TILE_KIND_COUNT } = require('../models/Card');
+const WinChecker = require('./winChecker');
+
+/**
+ * 向听数计算服务
+ * 向听数为离听牌还差几张有效牌：-1 为已胡牌，0 为听牌
+ * 宁海麻将只有一对将牌加四组面子的基本牌型，按 2×所需面子数 - 2×面子 - 搭子 - 将牌 计算
+ */
+class ShantenCalculator {
+
+  /**
+   * 计算手牌的向听数
+   * @param {string[]} handCards 暗牌ID数组
+   * @param {Array} exposedCards 已亮出的牌组（每组算一组完整面子）
+   * @returns {number|null} 向听数，含花牌或无效牌时返回null
+   */
+  static calculate(handCards, exposedCards = []) {
+    const counts = WinChecker.toCounts(handCards);
+    if (!counts) return null;
+
+    return this.calculateCounts(counts, 4 - exposedCards.length);
+  }
+
+  /**
+   * 按34种牌的计数数组计算向听数
+   */
+  static calculateCounts(counts, setsNeeded) {
+    let best = this.searchBlocks(counts, 0, setsNeeded, 0, 0);
+
+    for (let pairIndex = 0; pairIndex < TILE_KIND_COUNT; pairIndex++) {
+      if (counts[pairIndex] < 2) continue;
+
+      counts[pairIndex] -= 2;
+      best = Math.min(best, this.searchBlocks(counts, 0, setsNeeded, 0, 0) - 1);
+      counts[pairIndex] += 2;
+    }
+
+    return best;
+  }
+
+  /**
+   * 递归拆出面子和搭子（对子、两面、边张、嵌张），返回最小向听数
+   */
+  static searchBlocks(counts, start, setsNeeded, sets, partials) {
+    let index = start;
+    while (index < TILE_KIND_COUNT && counts[index] === 0) {
+      index++;
+    }
+
+    if (index === TILE_KIND_COUNT) {
+      // 面子加搭子超过所需组数时，多出的搭子没有用
+      return 2 * setsNeeded - 2 * sets - Math.min(partials, setsNeeded - sets);
+    }
+
+    const isNumber = index < 27;
+    const value = index % 9;
+    const blocks = [];
+
+    // 面子：刻子、顺子
+    if (sets < setsNeeded) {
+      if (counts[index] >= 3) blocks.push({ indexes: [index, index, index], set: true });
+      if (isNumber && value <= 6 && counts[index + 1] > 0 && counts[index + 2] > 0) {
+        blocks.push({ indexes: [index, index + 1, index + 2], set: true });
+      }
+    }
+
+    // 搭子：对子、两面或边张、嵌张
+    if (sets + partials < setsNeeded) {
+      if (counts[index] >= 2) blocks.push({ indexes: [index, index], set: false });
+      if (isNumber && value <= 7 && counts[index + 1] > 0) blocks.push({ indexes: [index, index + 1], set: false });
+      if (isNumber && value <= 6 && counts[index + 2] > 0) blocks.push({ indexes: [index, index + 2], set: false });
+    }
+
+    let best = Infinity;
+
+    blocks.forEach(({ indexes, set }) => {
+      indexes.forEach(i => counts[i]--);
+      const result = this.searchBlocks(counts, index, setsNeeded, sets + (set ? 1 : 0), partials + (set ? 0 : 1));
+      indexes.forEach(i => counts[i]++);
+      best = Math.min(best, result);
+    });
+
+    // 这种牌剩下的都作为孤张
+    const count = counts[index];
+    counts[index] = 0;
+    best = Math.min(best, this.searchBlocks(counts, index + 1, setsNeeded, sets, partials));
+    counts[index] = count;
+
+    return best;
+  }
+
+  /**
+   * 获取能让向听数减少的有效牌
+   * @param {number[]} counts 手牌计数数组（等牌时的张数）
+   * @param {number[]} visibleCounts 已见到的每种牌张数（含自己的手牌）
+   * @returns {Array} [{ cardId, remaining }]
+   */
+  static getUsefulTiles(counts, setsNeeded, visibleCounts) {
+    const shanten = this.calculateCounts(counts, setsNeeded);
+    const useful = [];
+
+    for (let index = 0; index < TILE_KIND_COUNT; index++) {
+      if (counts[index] >= 4) continue;
+
+      counts[index]++;
+      const improved = this.calculateCounts(counts, setsNeeded) < shanten;
+      counts[index]--;
+
+      if (improved) {
+        useful.push({
+          cardId: Card.fromTileIndex(index).id,
+          remaining: Math.max(0, 4 - visibleCounts[index])
+        });
+      }
+    }
+
+    return useful;
+  }
+
+  /**
+   * 按打出后的向听数和剩余有效牌张数给每种可打的牌排序
+   * @param {string[]} handCards 轮到出牌时的手牌
+   * @param {Array} exposedCards 已亮出的牌组
+   * @param {number[]} visibleCounts 已见到的每种牌张数（含自己的手牌）
+   * @returns {Array} [{ cardId, shanten, usefulTiles, usefulCount }]，最推荐的在前
+   */
+  static rankDiscards(handCards, exposedCards, visibleCounts) {
+    const counts = WinChecker.toCounts(handCards);
+    if (!counts) return [];
+
+    return this.rankDiscardCounts(counts, 4 - exposedCards.length, visibleCounts)
+      .map(({ index, ...option }) => ({
+        cardId: handCards.find(cardId => Card.getTileIndexById(cardId) === index),
+        ...option
+      }));
+  }
+
+  /**
+   * 按计数数组给每种可打的牌排序，同样好的牌按牌种顺序排列
+   * @param {number[]} counts 轮到出牌时的手牌计数数组，计算后恢复原值
+   * @returns {Array} [{ index, shanten, usefulTiles, usefulCount }]，最推荐的在前
+   */
+  static rankDiscardCounts(counts, setsNeeded, visibleCounts) {
+    const options = [];
+
+    for (let index = 0; index < TILE_KIND_COUNT; index++) {
+      if (counts[index] === 0) continue;
+
+      counts[index]--;
+      const shanten = this.calculateCounts(counts, setsNeeded);
+      const usefulTiles = this.getUsefulTiles(counts, setsNeeded, visibleCounts);
+      counts[index]++;
+
+      options.push({
+        index,
+        shanten,
+        usefulTiles,
+        usefulCount: usefulTiles.reduce((sum, tile) => sum + tile.remaining, 0)
+      });
+    }
+
+    return options.sort((a, b) => (a.shanten - b.shanten) || (b.usefulCount - a.usefulCount));
+  }
+}
+
+module.exports = {
+  ShantenCalculator
+};
@@ -0,0 +1,251 @@
+const { Card, TILE_KIND_COUNT, MELD_TYPES } = require('../models/Card');
+
+/**
+ * 胡牌判断服务
+ * 将手牌拆分为一对将牌 + 四组面子（顺子/刻子/杠），覆盖规则文档中的五种基本牌型
+ */
+class WinChecker {
+
+  /**
+   * 查找所有胡牌拆分方式
+   * @param {string[]} handCards 暗牌ID数组（含胡的那张牌）
+   * @param {Array} exposedCards 已亮出的牌组（吃碰杠）
+   * @returns {Array} 拆分结果数组，每项为 { pair, melds }，不能胡牌时为空数组
+   */
+  static findDecompositions(handCards, exposedCards = []) {
+    if (exposedCards.length > 4) return [];
+
+    // 每个亮出的牌组占用3张牌的位置（杠多出的一张已补牌）
+    const setsNeeded = 4 - exposedCards.length;
+    if (handCards.length !== setsNeeded * 3 + 2) return [];
+
+    const counts = this.toCounts(handCards);
+    if (!counts) return [];
+
+    const exposedMelds = exposedCards.map(meld => ({
+      type: meld.type,
+      cards: [...meld.cards],
+      concealed: meld.concealed === true,
+      from: meld.from
+    }));
+
+    const decompositions = [];
+
+    for (let pairIndex = 0; pairIndex < TILE_KIND_COUNT; pairIndex++) {
+      if (counts[pairIndex] < 2) continue;
+
+      counts[pairIndex] -= 2;
+      const setLists = [];
+      this.searchSets(counts, 0, setsNeeded, [], setLists);
+      counts[pairIndex] += 2;
+
+      setLists.forEach(sets => {
+        decompositions.push(this.buildDecomposition(handCards, pairIndex, sets, exposedMelds));
+      });
+    }
+
+    return decompositions;
+  }
+
+  /**
+   * 判断是否为胡牌
+   */
+  static isWinningHand(handCards, exposedCards = []) {
+    return this.findDecompositions(handCards, exposedCards).length > 0;
+  }
+
+  /**
+   * 获取听牌的牌种（再摸一张即可胡牌）
+   * @param {string[]} handCards 暗牌ID数组（不含待胡的牌）
+   * @param {Array} exposedCards 已亮出的牌组
+   * @returns {string[]} 能胡的每种牌的一张牌ID
+   */
+  static getWaitingTiles(handCards, exposedCards = []) {
+    if (exposedCards.length > 4) return [];
+
+    const setsNeeded = 4 - exposedCards.length;
+    if (handCards.length !== setsNeeded * 3 + 1) return [];
+
+    const counts = this.toCounts(handCards);
+    if (!counts) return [];
+
+    return this.getWaitingIndexes(counts, setsNeeded).map(index => Card.fromTileIndex(index).id);
+  }
+
+  /**
+   * 按计数数组获取听牌的牌种索引
+   * @param {number[]} counts 等牌时的手牌计数数组，判断后恢复原值
+   * @returns {number[]} 能胡的牌种索引
+   */
+  static getWaitingIndexes(counts, setsNeeded) {
+    const waits = [];
+
+    for (let index = 0; index < TILE_KIND_COUNT; index++) {
+      // 四张都在自己手里的牌不可能再摸到
+      if (counts[index] >= 4) continue;
+
+      counts[index]++;
+      if (this.canComplete(counts, setsNeeded)) {
+        waits.push(index);
+      }
+      counts[index]--;
+    }
+
+    return waits;
+  }
+
+  /**
+   * 判断是否听牌
+   */
+  static isTenpai(handCards, exposedCards = []) {
+    return this.getWaitingTiles(handCards, exposedCards).length > 0;
+  }
+
+  /**
+   * 将牌ID数组转换为34种牌的计数数组，含花牌或无效牌时返回null
+   */
+  static toCounts(cardIds) {
+    const counts = new Array(TILE_KIND_COUNT).fill(0);
+
+    for (const cardId of cardIds) {
+      const index = Card.getTileIndexById(cardId);
+      if (index < 0 || index >= TILE_KIND_COUNT) return null;
+      counts[index]++;
+    }
+
+    return counts;
+  }
+
+  /**
+   * 判断计数数组能否拆成一对将牌加指定组数的面子（只判断，不生成拆分）
+   */
+  static canComplete(counts, setsNeeded) {
+    for (let pairIndex = 0; pairIndex < TILE_KIND_COUNT; pairIndex++) {
+      if (counts[pairIndex] < 2) continue;
+
+      counts[pairIndex] -= 2;
+      const complete = this.canFormSets(counts, 0, setsNeeded);
+      counts[pairIndex] += 2;
+
+      if (complete) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 判断剩余的牌能否恰好组成指定组数的面子
+   */
+  static canFormSets(counts, start, setsNeeded) {
+    let index = start;
+    while (index < TILE_KIND_COUNT && counts[index] === 0) {
+      index++;
+    }
+
+    if (index === TILE_KIND_COUNT) return setsNeeded === 0;
+    if (setsNeeded === 0) return false;
+
+    // 最小的剩余牌只能组成刻子或以它开头的顺子
+    if (counts[index] >= 3) {
+      counts[index] -= 3;
+      const complete = this.canFormSets(counts, index, setsNeeded - 1);
+      counts[index] += 3;
+      if (complete) return true;
+    }
+
+    if (index < 27 && index % 9 <= 6 && counts[index + 1] > 0 && counts[index + 2] > 0) {
+      counts[index]--;
+      counts[index + 1]--;
+      counts[index + 2]--;
+      const complete = this.canFormSets(counts, index, setsNeeded - 1);
+      counts[index]++;
+      counts[index + 1]++;
+      counts[index + 2]++;
+      if (complete) return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * 递归搜索面子组合
+   * 每次取最小的剩余牌，它必须组成刻子或以它开头的顺子
+   */
+  static searchSets(counts, start, setsNeeded, current, results) {
+    let index = start;
+    while (index < TILE_KIND_COUNT && counts[index] === 0) {
+      index++;
+    }
+
+    if (index === TILE_KIND_COUNT) {
+      if (setsNeeded === 0) {
+        results.push([...current]);
+      }
+      return;
+    }
+
+    if (setsNeeded === 0) return;
+
+    // 刻子
+    if (counts[index] >= 3) {
+      counts[index] -= 3;
+      current.push({ type: MELD_TYPES.PENG, start: index });
+      this.searchSets(counts, index, setsNeeded - 1, current, results);
+      current.pop();
+      counts[index] += 3;
+    }
+
+    // 顺子（仅数字牌，且不能跨花色）
+    if (index < 27 && index % 9 <= 6 && counts[index + 1] > 0 && counts[index + 2] > 0) {
+      counts[index]--;
+      counts[index + 1]--;
+      counts[index + 2]--;
+      current.push({ type: MELD_TYPES.CHI, start: index });
+      this.searchSets(counts, index, setsNeeded - 1, current, results);
+      current.pop();
+      counts[index]++;
+      counts[index + 1]++;
+      counts[index + 2]++;
+    }
+  }
+
+  /**
+   * 将牌种索引形式的拆分结果还原为具体的牌ID
+   */
+  static buildDecomposition(handCards, pairIndex, sets, exposedMelds) {
+    // 按牌种分组的牌ID池
+    const pools = new Map();
+    handCards.forEach(cardId => {
+      const index = Card.fromId(cardId).getTileIndex();
+      if (!pools.has(index)) pools.set(index, []);
+      pools.get(index).push(cardId);
+    });
+
+    const take = index => pools.get(index).shift();
+
+    const pair = {
+      type: 'pair',
+      cards: [take(pairIndex), take(pairIndex)],
+      concealed: true
+    };
+
+    const concealedMelds = sets.map(set => {
+      const indexes = set.type === MELD_TYPES.PENG
+        ? [set.start, set.start, set.start]
+        : [set.start, set.start + 1, set.start + 2];
+
+      return {
+        type: set.type,
+        cards: indexes.map(take),
+        concealed: true
+      };
+    });
+
+    return {
+      pair,
+      melds: [...concealedMelds, ...exposedMelds.map(meld => ({ ...meld, cards: [...meld.cards] }))]
+    };
+  }
+}
+
+module.exports = WinChecker;
@@ -0,0 +1,67 @@
+const crypto = require('crypto');
+
+/**
+ * 可复现的随机数生成器
+ * 以种子为密钥、用 HMAC-SHA256(标签:计数器) 生成随机字节流，同一种子和标签得到相同的序列，
+ * 公布种子后任何人都可以重新推算洗牌结果
+ */
+class SeededRandom {
+  /**
+   * @param {string} seed 种子（十六进制字符串）
+   * @param {string} label 用途标签，不同用途的随机序列互不影响
+   */
+  constructor(seed, label = 'shuffle') {
+    this.seed = seed;
+    this.label = label;
+    this.counter = 0;
+    this.buffer = Buffer.alloc(0);
+    this.offset = 0;
+  }
+
+  /**
+   * 生成新的随机种子（CSPRNG）
+   */
+  static generateSeed() {
+    return crypto.randomBytes(32).toString('hex');
+  }
+
+  /**
+   * 计算种子的承诺值（SHA-256），发牌时公布
+   */
+  static hashSeed(seed) {
+    return crypto.createHash('sha256').update(seed).digest('hex');
+  }
+
+  /**
+   * 取下一个32位无符号整数
+   */
+  nextUint32() {
+    if (this.offset + 4 > this.buffer.length) {
+      this.buffer = crypto.createHmac('sha256', this.seed)
+        .update(`${this.label}:${this.counter++}`)
+        .digest();
+      this.offset = 0;
+    }
+
+    const value = this.buffer.readUInt32BE(this.offset);
+    this.offset += 4;
+    return value;
+  }
+
+  /**
+   * 取 [0, max) 范围内均匀分布的整数（拒绝采样避免取模偏差）
+   */
+  nextInt(max) {
+    const range = 0x100000000;
+    const limit = range - (range % max);
+
+    let value = this.nextUint32();
+    while (value >= limit) {
+      value = this.nextUint32();
+    }
+
+    return value % max;
+  }
+}
+
+module.exports = SeededRandom;
@@ -0,0 +1,108 @@
+const { Card, HandCounts, MELD_TYPES } = require('../src/models/Card');
+
+describe('Card', () => {
+  describe('简写记法', () => {
+    it('parseTiles 按数字在前、花色字母在后解析，忽略空白', () => {
+      expect(Card.parseTiles('12w 9t\n5s 17z 3h')).toEqual([
+        'wan_1', 'wan_2', 'tong_9', 'suo_5', 'zi_1', 'zi_7', 'hua_3'
+      ]);
+      expect(Card.parseTiles('')).toEqual([]);
+    });
+
+    it.each([
+      ['12x', '无效的花色'],
+      ['8z', '无效的牌'],
+      ['0w', '无效的牌'],
+      ['9h', '无效的牌'],
+      ['w12', '无法解析的记法'],
+      ['12w3', '无法解析的记法']
+    ])('parseTiles 拒绝 %s', (notation, message) => {
+      expect(() => Card.parseTiles(notation)).toThrow(message);
+    });
+
+    it('formatTiles 按万筒索字花排序并合并同花色数字', () => {
+      expect(Card.formatTiles(['zi_1', 'wan_3#2', 'hua_2#0', 'wan_1', 'suo_9', 'zi_1#1', 'tong_5']))
+        .toBe('13w5t9s11z2h');
+      expect(Card.formatTiles([])).toBe('');
+    });
+
+    it('parseHand 解析明牌组、暗杠、胡的牌和花牌', () => {
+      expect(Card.parseHand('123w 45t [789s] (2222w) 胡:6t 花:梅兰')).toEqual({
+        handCards: ['wan_1', 'wan_2', 'wan_3', 'tong_4', 'tong_5'],
+        melds: [
+          { type: MELD_TYPES.CHI, cards: ['suo_7', 'suo_8', 'suo_9'], concealed: false },
+          { type: MELD_TYPES.GANG, cards: ['wan_2', 'wan_2', 'wan_2', 'wan_2'], concealed: true }
+        ],
+        flowerCards: ['hua_1', 'hua_2'],
+        winningCard: 'tong_6'
+      });
+    });
+
+    it('花牌也可以用简写记法，标签可以用全角冒号', () => {
+      expect(Card.parseHand('11z 花：58h').flowerCards).toEqual(['hua_5', 'hua_8']);
+    });
+
+    it.each([
+      ['[123w)', '括号不匹配'],
+      ['[124w]', '无效的牌组'],
+      ['(111w)', '无效的牌组'],
+      ['胡:12w', '胡的牌只能有一张'],
+      ['花:梅龙', '无效的花牌'],
+      ['花:1w', '不是花牌']
+    ])('parseHand 拒绝 %s', (notation, message) => {
+      expect(() => Card.parseHand(notation)).toThrow(message);
+    });
+
+    it('formatHand 的结果可以用 parseHand 解析回来', () => {
+      const notation = '11w456t 胡:1w 花:兰秋';
+      const hand = {
+        handCards: ['tong_6#1', 'wan_1#0', 'tong_4#2', 'tong_5#3', 'wan_1#3'],
+        melds: [
+          { type: MELD_TYPES.PENG, cards: ['zi_5#0', 'zi_5#1', 'zi_5#2'], concealed: false },
+          { type: MELD_TYPES.GANG, cards: ['suo_8#0', 'suo_8#1', 'suo_8#2', 'suo_8#3'], concealed: true }
+        ],
+        flowerCards: ['hua_7#0', 'hua_2#0'],
+        winningCard: 'wan_1#3'
+      };
+
+      const formatted = Card.formatHand(hand);
+
+      expect(formatted).toBe('11w456t [555z] (8888s) 胡:1w 花:兰秋');
+      expect(Card.formatHand(Card.parseHand(formatted))).toBe(formatted);
+      expect(Card.formatHand(Card.parseHand(notation))).toBe(notation);
+    });
+  });
+
+  describe('HandCounts', () => {
+    it('按牌种计数手牌，花牌记在位图里', () => {
+      const counts = HandCounts.fromCards(['wan_1#0', 'wan_1#1', 'tong_9#0', 'zi_7#3'], ['hua_1#0', 'hua_8#0']);
+
+      expect(counts.count(Card.getTileIndexById('wan_1'))).toBe(2);
+      expect(counts.count(Card.getTileIndexById('tong_9'))).toBe(1);
+      expect(counts.count(Card.getTileIndexById('zi_7'))).toBe(1);
+      expect(counts.counts.reduce((sum, count) => sum + count, 0)).toBe(4);
+      expect(counts.flowerMask).toBe(0b10000001);
+      expect(counts.hasFlower(8)).toBe(true);
+      expect(counts.hasFlower(2)).toBe(false);
+    });
+
+    it('补花前暂留手中的花牌不计入手牌', () => {
+      const counts = HandCounts.fromCards(['hua_3#0', 'suo_5#0']);
+
+      expect(counts.counts.reduce((sum, count) => sum + count, 0)).toBe(1);
+      expect(counts.flowerMask).toBe(0);
+    });
+
+    it('增减后与重新构建的结果一致，不会减成负数', () => {
+      const counts = HandCounts.fromCards(['wan_1#0', 'suo_5#0']);
+      counts.add('suo_5#1');
+      counts.remove('wan_1#0');
+      counts.remove('wan_1#1');
+      counts.addFlower('hua_4#0');
+
+      expect(counts.count(Card.getTileIndexById('wan_1'))).toBe(0);
+      expect(counts.equals(HandCounts.fromCards(['suo_5#0', 'suo_5#1'], ['hua_4#0']))).toBe(true);
+      expect(counts.equals(HandCounts.fromCards(['suo_5#0', 'suo_5#1']))).toBe(false);
+    });
+  });
+});
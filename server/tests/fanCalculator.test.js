@@ -0,0 +1,65 @@
+const { Card } = require('../src/models/Card');
+const WinChecker = require('../src/services/winChecker');
+const { FanCalculator, MAX_FAN } = require('../src/services/fanCalculator');
+
+/**
+ * 取番数最高的一种拆法
+ */
+const calculate = (notation, feng = 'dong') => {
+  const { handCards, melds, flowerCards } = Card.parseHand(notation);
+  return WinChecker.findDecompositions(handCards, melds)
+    .map(decomposition => FanCalculator.calculate(decomposition, { flowerCards, feng }))
+    .sort((a, b) => b.rawFanCount - a.rawFanCount)[0];
+};
+
+const names = result => result.items.map(item => item.name);
+
+describe('FanCalculator', () => {
+  it('没有番数项时为平胡', () => {
+    expect(calculate('123w 234t 567s 678s 55z')).toMatchObject({ fanCount: 0, pattern: '平胡', capped: false });
+  });
+
+  it('清一色三番', () => {
+    expect(calculate('123w 456w 789w 123w 55w')).toMatchObject({ fanCount: 3, pattern: '清一色', capped: true });
+  });
+
+  it('清一色对对胡仍为三番', () => {
+    expect(calculate('111w 333w [555w] 999w 77w')).toMatchObject({ rawFanCount: 3, pattern: '清一色对对胡' });
+  });
+
+  it('混一色两番', () => {
+    expect(calculate('123w 456w 789w 111z 55z')).toMatchObject({ fanCount: 2, pattern: '混一色' });
+  });
+
+  it('对对胡两番', () => {
+    expect(calculate('111w 222t [333s] 999w 11z')).toMatchObject({ fanCount: 2, pattern: '对对胡' });
+  });
+
+  it('混一色加对对胡超过三番时封顶', () => {
+    const result = calculate('111w 333w 999w 111z 55z');
+    expect(names(result)).toEqual(['混一色', '对对胡']);
+    expect(result).toMatchObject({ fanCount: MAX_FAN, rawFanCount: 4, capped: true });
+  });
+
+  it('字一色和中发白分别计番', () => {
+    const result = calculate('111z 222z 333z 555z 77z');
+    expect(names(result)).toEqual(['字一色', '红中']);
+    expect(result).toMatchObject({ fanCount: MAX_FAN, rawFanCount: 4 });
+  });
+
+  it('中发白做将牌不计番', () => {
+    expect(names(calculate('123w 234t 567s [666z] 55z'))).toEqual(['发财']);
+  });
+
+  it('本位花每张一番', () => {
+    // 春、梅都是东家的本位花
+    expect(names(calculate('123w 234t 567s 678s 11z 花:15h'))).toEqual(['本位花', '本位花']);
+    expect(calculate('123w 234t 567s 678s 11z 花:15h', 'nan').fanCount).toBe(0);
+  });
+
+  it('集齐四季花两番', () => {
+    const result = calculate('123w 234t 567s 678s 11z 花:5678h', 'xi');
+    expect(names(result)).toEqual(['本位花', '四季花']);
+    expect(result.fanCount).toBe(3);
+  });
+});
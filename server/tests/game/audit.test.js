@@ -0,0 +1,55 @@
+const { createGame } = require('../helpers');
+
+describe('牌局核对', () => {
+  it('开牌后 144 张牌不重不漏', () => {
+    const { game } = createGame(null, { seed: 'audit' });
+
+    expect(game.auditTiles()).toEqual({
+      valid: true,
+      total: 144,
+      countsInSync: true,
+      duplicates: [],
+      missing: [],
+      unknown: []
+    });
+  });
+
+  it('同一张牌同时出现在两处时报重复', () => {
+    const { data, game } = createGame(null, { seed: 'audit' });
+    const cardId = data.players[1].handCards[0];
+    data.players[2].discardedCards.push(cardId);
+
+    const audit = game.auditTiles();
+
+    expect(audit.valid).toBe(false);
+    expect(audit.duplicates).toEqual([cardId]);
+    expect(audit.total).toBe(145);
+  });
+
+  it('牌丢失或来历不明时报缺失和未知', () => {
+    const { data, game } = createGame(null, { seed: 'audit' });
+    const cardId = data.players[1].handCards[0];
+    data.players[1].discardedCards.push('wan_1#9');
+    game.removeFromHand(1, 0);
+
+    const audit = game.auditTiles();
+
+    expect(audit.valid).toBe(false);
+    expect(audit.missing).toEqual([cardId]);
+    expect(audit.unknown).toEqual(['wan_1#9']);
+    expect(audit.countsInSync).toBe(true);
+  });
+
+  it('绕过计数直接改手牌时报计数不同步', () => {
+    const { data, game } = createGame(null, { seed: 'audit' });
+    const player = data.players[1];
+    player.discardedCards.push(player.handCards.pop());
+
+    const audit = game.auditTiles();
+
+    expect(audit.valid).toBe(false);
+    expect(audit.countsInSync).toBe(false);
+    expect(audit.duplicates).toEqual([]);
+    expect(audit.missing).toEqual([]);
+  });
+});
@@ -0,0 +1,134 @@
+const { PLAYER_ACTIONS } = require('../../src/models/Game');
+const { createGame, findCard } = require('../helpers');
+
+// 0号位打出 5t：1号位可以吃，2号位可以碰，3号位可以胡
+const CLAIM_STACK = {
+  hands: [
+    '5t 1w9w 1s9s 1z2z3z4z5z6z7z 2w8w',
+    '4t6t 1w1w 5w 9t 2s4s6s8s 2z4z6z',
+    '5t5t 3w3w 7w 1t 3s5s7s9s 3z5z7z',
+    '123w 456w 789s 22s 4t6t'
+  ]
+};
+
+// 1号位和3号位都能胡 5t
+const DOUBLE_HU_STACK = {
+  hands: [
+    '5t 1w9w 1s9s 1z2z3z4z5z6z7z 2w8w',
+    '4t6t 123s 456s 789w 11z',
+    '5t5t 3w3w 7w 1t 3s5s7s9s 3z5z7z',
+    '123w 456w 789s 22s 4t6t'
+  ]
+};
+
+/**
+ * 开局后由0号位打出 5t
+ */
+const discardFiveTong = stack => {
+  const setup = createGame(stack);
+  setup.game.playerDiscard(0, findCard(setup.data, 0, 'tong_5'));
+  return setup;
+};
+
+describe('抢牌窗口', () => {
+  it('出牌后列出每位玩家可选的动作，公开信息不含谁能抢', () => {
+    const { data, game } = discardFiveTong(CLAIM_STACK);
+
+    expect(data.claimWindow.eligible.map(({ position, actions }) => ({ position, actions: [...actions] }))).toEqual([
+      { position: 1, actions: [PLAYER_ACTIONS.CHI] },
+      { position: 2, actions: [PLAYER_ACTIONS.PENG] },
+      { position: 3, actions: [PLAYER_ACTIONS.HU] }
+    ]);
+    expect(Object.keys(game.getPublicClaimWindow())).toEqual(['open', 'deadline']);
+    expect(game.getPublicClaimWindow().open).toBe(true);
+  });
+
+  it('所有可抢牌的玩家都响应后才裁决', () => {
+    const { data, game } = discardFiveTong(CLAIM_STACK);
+
+    expect(game.submitClaim(1, PLAYER_ACTIONS.CHI)).toBeNull();
+    expect(game.submitClaim(2, PLAYER_ACTIONS.PENG)).toBeNull();
+    expect(data.claimWindow).not.toBeNull();
+  });
+
+  it('胡优先于碰和吃，与响应先后无关', () => {
+    const { data, game } = discardFiveTong(CLAIM_STACK);
+
+    game.submitClaim(1, PLAYER_ACTIONS.CHI);
+    game.submitClaim(2, PLAYER_ACTIONS.PENG);
+    const result = game.submitClaim(3, PLAYER_ACTIONS.HU);
+
+    expect(result.winner).toEqual({ position: 3, action: PLAYER_ACTIONS.HU });
+    expect(result.losers).toEqual([
+      { position: 2, action: PLAYER_ACTIONS.PENG },
+      { position: 1, action: PLAYER_ACTIONS.CHI }
+    ]);
+    expect(data.winner).toBe(3);
+    expect(data.winDetail.from).toBe(0);
+  });
+
+  it('碰优先于吃，碰牌的玩家接着出牌', () => {
+    const { data, game } = discardFiveTong(CLAIM_STACK);
+
+    game.submitClaim(3, PLAYER_ACTIONS.PASS);
+    game.submitClaim(1, PLAYER_ACTIONS.CHI);
+    const result = game.submitClaim(2, PLAYER_ACTIONS.PENG);
+
+    expect(result.winner).toEqual({ position: 2, action: PLAYER_ACTIONS.PENG });
+    expect(data.currentPlayer).toBe(2);
+    expect(data.players[2].exposedCards[0].cards).toHaveLength(3);
+    expect(data.players[0].discardedCards).toEqual([]);
+    expect(data.players[1].exposedCards).toHaveLength(0);
+  });
+
+  it('同级的抢牌按出牌玩家的下家顺序优先', () => {
+    const { data, game } = discardFiveTong(DOUBLE_HU_STACK);
+
+    game.submitClaim(3, PLAYER_ACTIONS.HU);
+    game.submitClaim(2, PLAYER_ACTIONS.PASS);
+    const result = game.submitClaim(1, PLAYER_ACTIONS.HU);
+
+    expect(result.winner.position).toBe(1);
+    expect(result.losers).toEqual([{ position: 3, action: PLAYER_ACTIONS.HU }]);
+    expect(data.winner).toBe(1);
+  });
+
+  it('都过时轮到下家摸牌', () => {
+    const { data, game } = discardFiveTong(CLAIM_STACK);
+
+    [1, 2, 3].forEach(position => game.submitClaim(position, PLAYER_ACTIONS.PASS));
+
+    expect(data.claimWindow).toBeNull();
+    expect(data.currentPlayer).toBe(1);
+    expect(data.players[1].handCards).toHaveLength(14);
+    expect(data.players[0].discardedCards).toHaveLength(1);
+  });
+
+  it('超时未响应的玩家视为过', () => {
+    const { data, game } = discardFiveTong(CLAIM_STACK);
+    const deadline = data.claimWindow.deadline.getTime();
+
+    game.submitClaim(2, PLAYER_ACTIONS.PENG);
+    expect(game.expireClaimWindow(new Date(deadline - 1))).toBeNull();
+
+    const result = game.expireClaimWindow(new Date(deadline));
+    expect(result.winner).toEqual({ position: 2, action: PLAYER_ACTIONS.PENG });
+    expect(data.currentPlayer).toBe(2);
+  });
+
+  it('拒绝不合规的响应', () => {
+    const { data, game } = discardFiveTong(CLAIM_STACK);
+    const expectCode = (fn, code) => expect(fn).toThrow(expect.objectContaining({ code }));
+
+    expectCode(() => game.playerDiscard(0, data.players[0].handCards[0]), 'CLAIM_WINDOW_OPEN');
+    expectCode(() => game.submitClaim(0, PLAYER_ACTIONS.PASS), 'NOT_ELIGIBLE_TO_CLAIM');
+    expectCode(() => game.submitClaim(1, PLAYER_ACTIONS.PENG), 'CLAIM_NOT_ALLOWED');
+
+    game.submitClaim(1, PLAYER_ACTIONS.PASS);
+    expectCode(() => game.submitClaim(1, PLAYER_ACTIONS.CHI), 'ALREADY_RESPONDED');
+
+    game.submitClaim(2, PLAYER_ACTIONS.PASS);
+    game.submitClaim(3, PLAYER_ACTIONS.PASS);
+    expectCode(() => game.submitClaim(2, PLAYER_ACTIONS.PENG), 'NO_CLAIM_WINDOW');
+  });
+});
@@ -0,0 +1,48 @@
+const { CardDeck, WALL_STACKS_PER_SIDE } = require('../../src/models/Card');
+const SeededRandom = require('../../src/utils/seededRandom');
+const { createGame } = require('../helpers');
+
+const SEEDS = ['dice-a', 'dice-b', 'dice-c', 'dice-d'];
+
+describe('掷骰子定庄和开牌', () => {
+  it.each(SEEDS)('从掷骰子的人开始数到点数A的人坐庄（种子 %s）', seed => {
+    const { data } = createGame(null, { dealer: null, roller: 2, seed });
+    const [roll] = data.dice.rolls;
+
+    expect(roll).toMatchObject({ roller: 2, purpose: 'dealer' });
+    roll.values.forEach(value => expect(value).toBeGreaterThanOrEqual(1));
+    roll.values.forEach(value => expect(value).toBeLessThanOrEqual(6));
+    expect(data.dealer).toBe((2 + roll.total - 1) % 4);
+    expect(data.dice.dealer).toBe(data.dealer);
+    expect(data.currentPlayer).toBe(data.dealer);
+    expect(data.players[data.dealer].feng).toBe('dong');
+    expect(data.players[data.dealer].handCards).toHaveLength(14);
+  });
+
+  it.each(SEEDS)('庄家和数到的人各掷一次，从后者门前数C张开牌（种子 %s）', seed => {
+    const { data } = createGame(null, { dealer: 1, seed });
+    const [first, second] = data.dice.rolls;
+    const { breakPlayer, breakCount, breakIndex } = data.dice;
+
+    expect(first).toMatchObject({ roller: 1, purpose: 'break' });
+    expect(breakPlayer).toBe((1 + first.total - 1) % 4);
+    expect(second).toMatchObject({ roller: breakPlayer, purpose: 'break' });
+    expect(breakCount).toBe(first.total + second.total);
+    expect(breakIndex).toBe(breakPlayer * WALL_STACKS_PER_SIDE * 2 + breakCount);
+  });
+
+  it('从开牌处往后摸牌，开牌处的前一张为牌尾', () => {
+    const { data } = createGame(null, { seed: 'dice-wall' });
+    const shuffled = new CardDeck();
+    shuffled.shuffle(new SeededRandom('dice-wall', 'shuffle'));
+    const breakIndex = data.dice.breakIndex;
+
+    expect(data.deck[data.deck.length - 1]).toBe(shuffled.cards[breakIndex].id);
+    expect(data.deck[0]).toBe(shuffled.cards[breakIndex - 1].id);
+
+    // 庄家先抓开牌处的4张（花牌已移到花牌区）
+    const dealer = data.players[0];
+    const firstFour = shuffled.cards.slice(breakIndex, breakIndex + 4).map(card => card.id);
+    expect([...dealer.handCards, ...dealer.flowerCards]).toEqual(expect.arrayContaining(firstFour));
+  });
+});
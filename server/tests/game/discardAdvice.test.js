@@ -0,0 +1,53 @@
+const { createGame, findCard } = require('../helpers');
+
+// 庄家打出 7z 就听 2w、5w；1号位手中的 2w、5w 庄家看不到
+const ADVICE_STACK = {
+  hands: [
+    '34w 234t 567s 678s 11z 7z',
+    '5555w 22w 1s9s 1z2z3z 9t9t',
+    '3w3w 7w 1t 3s5s7s9s 3z5z7z 6t8t',
+    '123w 678w 789s 22s 4t6t'
+  ]
+};
+
+describe('出牌建议', () => {
+  it('按打出后的向听数和有效牌张数排序', () => {
+    const { data, game } = createGame(ADVICE_STACK);
+
+    const advice = game.getDiscardAdvice(0);
+
+    expect(advice.shanten).toBe(0);
+    expect(advice.discards[0]).toMatchObject({
+      cardId: findCard(data, 0, 'zi_7'),
+      shanten: 0,
+      usefulTiles: [{ cardId: 'wan_2', remaining: 4 }, { cardId: 'wan_5', remaining: 4 }],
+      usefulCount: 8
+    });
+    advice.discards.slice(1).forEach(option => expect(option.shanten).toBeGreaterThanOrEqual(1));
+  });
+
+  it('别人打出的牌算已见到', () => {
+    const { data, game } = createGame(ADVICE_STACK);
+    const cardId = findCard(data, 3, 'wan_2');
+    game.removeFromHand(3, data.players[3].handCards.indexOf(cardId));
+    data.players[3].discardedCards.push(cardId);
+
+    expect(game.getDiscardAdvice(0).discards[0].usefulTiles)
+      .toEqual([{ cardId: 'wan_2', remaining: 3 }, { cardId: 'wan_5', remaining: 4 }]);
+  });
+
+  it('第一圈不能打的牌不在建议中', () => {
+    const { game } = createGame(ADVICE_STACK, { settings: { firstLapRestriction: true } });
+
+    const { discards } = game.getDiscardAdvice(0);
+
+    expect(discards.length).toBeGreaterThan(0);
+    discards.forEach(option => expect(option.cardId).toMatch(/^(wan|tong)_/));
+  });
+
+  it('没轮到出牌时不能使用', () => {
+    const { game } = createGame(ADVICE_STACK);
+
+    expect(() => game.getDiscardAdvice(1)).toThrow(expect.objectContaining({ code: 'ADVICE_NOT_AVAILABLE' }));
+  });
+});
@@ -0,0 +1,57 @@
+const { GAME_STATES, GANG_TYPES, PLAYER_ACTIONS, WIN_TYPES } = require('../../src/models/Game');
+const { createGame, findCard } = require('../helpers');
+
+/**
+ * 每家都打出刚摸到的牌、有人能抢时都过，一直打到本局结束
+ */
+const playOut = game => {
+  const { data } = game;
+  let turns = 0;
+
+  while (data.state === GAME_STATES.PLAYING && turns < 500) {
+    if (data.claimWindow) {
+      data.claimWindow.eligible.forEach(({ position }) => game.submitClaim(position, PLAYER_ACTIONS.PASS));
+    } else {
+      const player = data.players[data.currentPlayer];
+      game.playerDiscard(data.currentPlayer, data.lastDraw ? data.lastDraw.cardId : player.handCards[0]);
+    }
+    turns++;
+  }
+};
+
+describe('流局', () => {
+  it('摸到只剩倒数9墩时流局，不结算', () => {
+    const { data, game } = createGame(null, { seed: 'exhaustive-draw' });
+
+    playOut(game);
+
+    expect(data.state).toBe(GAME_STATES.FINISHED);
+    expect(data.winType).toBe(WIN_TYPES.LIU_JU);
+    expect(data.winner).toBeNull();
+    expect(data.settlement).toBeNull();
+    expect(game.getLiveWallCount()).toBe(0);
+    expect(game.deck.getRemainingCount()).toBe(18 + (data.tailDrawCount % 2));
+    expect(data.gameHistory[data.gameHistory.length - 1].action).toBe('liu_ju');
+  });
+
+  it('每一杠多留一墩，牌尾被补走单张时剩下的单张不算', () => {
+    const { data, game } = createGame({
+      hands: [
+        '1111w 234t 567s 678s 5z',
+        '2223w 5t 678w 345s 12z',
+        '2w 3456t 789t 147s 5z6z',
+        '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+      ]
+    });
+
+    // 发牌从牌头摸走53张
+    expect(game.deck.getRemainingCount()).toBe(91);
+    expect(game.getLiveWallCount()).toBe(91 - 18);
+
+    game.applyGang(0, GANG_TYPES.AN, findCard(data, 0, 'wan_1'));
+
+    expect(game.getReservedStacks()).toBe(10);
+    expect(game.deck.getRemainingCount()).toBe(90);
+    expect(game.getLiveWallCount()).toBe(90 - 20 - 1);
+  });
+});
@@ -0,0 +1,72 @@
+const { PLAYER_ACTIONS, GANG_TYPES } = require('../../src/models/Game');
+const { createGame, findCard } = require('../helpers');
+
+const OTHER_HANDS = [
+  '2223w 5t 678w 345s 12z',
+  '2w 3456t 789t 147s 5z6z',
+  '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+];
+
+// 0号位打出 5t：1号位可以吃，2号位可以碰，3号位可以胡
+const CLAIM_STACK = {
+  hands: [
+    '5t 1w9w 1s9s 1z2z3z4z5z6z7z 2w8w',
+    '4t6t 1w1w 5w 9t 2s4s6s8s 2z4z6z',
+    '5t5t 3w3w 7w 1t 3s5s7s9s 3z5z7z',
+    '123w 456w 789s 22s 4t6t'
+  ]
+};
+
+const RESTRICTED = { settings: { firstLapRestriction: true } };
+
+const expectCode = (fn, code) => expect(fn).toThrow(expect.objectContaining({ code }));
+
+describe('第一圈限制', () => {
+  it('手中有筒万时只能打筒万', () => {
+    const { data, game } = createGame(CLAIM_STACK, RESTRICTED);
+
+    expectCode(() => game.playerDiscard(0, findCard(data, 0, 'zi_1')), 'FIRST_LAP_DISCARD_RESTRICTED');
+    expectCode(() => game.playerDiscard(0, findCard(data, 0, 'suo_1')), 'FIRST_LAP_DISCARD_RESTRICTED');
+    game.playerDiscard(0, findCard(data, 0, 'wan_1'));
+    expect(data.players[0].discardedCards).toHaveLength(1);
+  });
+
+  it('手中没有筒万时不受限制', () => {
+    const { data, game } = createGame({ hands: ['1s1s 3s 5s 9s 1z2z3z4z5z6z7z 2s 4s', ...OTHER_HANDS] }, RESTRICTED);
+
+    game.playerDiscard(0, findCard(data, 0, 'zi_1'));
+    expect(data.players[0].discardedCards).toHaveLength(1);
+  });
+
+  it('第一圈不能吃碰，只能胡', () => {
+    const { data, game } = createGame(CLAIM_STACK, RESTRICTED);
+
+    game.playerDiscard(0, findCard(data, 0, 'tong_5'));
+
+    expect(data.claimWindow.eligible.map(({ position, actions }) => ({ position, actions: [...actions] })))
+      .toEqual([{ position: 3, actions: [PLAYER_ACTIONS.HU] }]);
+    expect(data.players[2].availableActions).toEqual([]);
+  });
+
+  it('第一圈不能暗杠', () => {
+    const { data, game } = createGame({ hands: ['1111w 234t 567s 678s 5z', ...OTHER_HANDS] }, RESTRICTED);
+
+    expectCode(() => game.applyGang(0, GANG_TYPES.AN, findCard(data, 0, 'wan_1')), 'FIRST_LAP_CLAIM_RESTRICTED');
+  });
+
+  it('四家都出过牌后第一圈结束，第四家打出的牌仍属第一圈', () => {
+    const { game } = createGame(CLAIM_STACK, RESTRICTED);
+
+    expect(game.isFirstLap(0)).toBe(true);
+    expect(game.isFirstLap(3)).toBe(true);
+    expect(game.isFirstLap(4)).toBe(false);
+  });
+
+  it('房间关闭规则时第一圈也能吃碰', () => {
+    const { data, game } = createGame(CLAIM_STACK);
+
+    expect(game.isFirstLap()).toBe(false);
+    game.playerDiscard(0, findCard(data, 0, 'tong_5'));
+    expect(data.claimWindow.eligible.map(entry => entry.position)).toEqual([1, 2, 3]);
+  });
+});
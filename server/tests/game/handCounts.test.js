@@ -0,0 +1,64 @@
+const { GAME_STATES, GANG_TYPES, PLAYER_ACTIONS } = require('../../src/models/Game');
+const WinChecker = require('../../src/services/winChecker');
+const { FanCalculator } = require('../../src/services/fanCalculator');
+const { ShantenCalculator } = require('../../src/services/shantenCalculator');
+const { createGame, findCard } = require('../helpers');
+
+describe('基于手牌计数的规则查询', () => {
+  it('整局中胡、听牌和向听的判断与按牌ID拆牌的结果一致', () => {
+    const { data, game } = createGame(null, { seed: 'hand-counts' });
+    let checked = 0;
+
+    while (data.state === GAME_STATES.PLAYING) {
+      if (data.claimWindow) {
+        data.claimWindow.eligible.forEach(({ position }) => game.submitClaim(position, PLAYER_ACTIONS.PASS));
+        continue;
+      }
+
+      const position = data.currentPlayer;
+      const player = data.players[position];
+      const cardId = data.lastDraw ? data.lastDraw.cardId : player.handCards[0];
+      const remaining = player.handCards.filter(id => id !== cardId);
+
+      expect(game.canHu(position)).toBe(WinChecker.isWinningHand(player.handCards, player.exposedCards));
+      expect(game.isTenpai(position, cardId)).toBe(WinChecker.isTenpai(remaining, player.exposedCards));
+      expect(game.getWaits(position, cardId).map(wait => wait.cardId))
+        .toEqual(WinChecker.getWaitingTiles(remaining, player.exposedCards));
+      // 出牌建议要试打每种牌，只抽查一部分回合
+      if (checked % 8 === 0) {
+        expect(game.getDiscardAdvice(position).shanten)
+          .toBe(ShantenCalculator.calculate(player.handCards, player.exposedCards));
+      }
+
+      data.players.forEach((other, index) => {
+        if (index === position) return;
+        expect(game.canHu(index, cardId))
+          .toBe(WinChecker.isWinningHand([...other.handCards, cardId], other.exposedCards));
+      });
+
+      checked++;
+      game.playerDiscard(position, cardId);
+    }
+
+    expect(checked).toBeGreaterThan(50);
+  });
+
+  it('花番按花牌位图计算，与胡牌结算的花牌番一致', () => {
+    const { data, game } = createGame({
+      hands: [
+        '1111w 234t 567s 678s 5z',
+        '2223w 5t 678w 345s 12z',
+        '2w 3456t 789t 147s 5z6z',
+        '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+      ],
+      tail: '1h2h3h4h'
+    });
+    const player = data.players[0];
+    game.applyGang(0, GANG_TYPES.AN, findCard(data, 0, 'wan_1'));
+
+    expect(game.handCounts[0].flowerMask).toBe(0b1111);
+    expect(game.calculateFlowerFan(0)).toBe(3);
+    expect(FanCalculator.getFlowerItems(player.flowerCards, player.feng).map(item => item.key))
+      .toEqual(['seat_flower', 'four_plants']);
+  });
+});
@@ -0,0 +1,155 @@
+const { GANG_TYPES, DRAW_SOURCES, PLAYER_ACTIONS, CLAIM_KINDS, WIN_TYPES } = require('../../src/models/Game');
+const { createGame, findCard } = require('../helpers');
+
+// 0号位起手四张 1w 可以暗杠
+const AN_GANG_STACK = {
+  hands: [
+    '1111w 234t 567s 678s 5z',
+    '2223w 5t 678w 345s 12z',
+    '2w 3456t 789t 147s 5z6z',
+    '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+  ],
+  tail: '9t'
+};
+
+// 1号位碰 0号位打出的 5t，一圈后摸到第四张 5t
+const JIA_GANG_STACK = {
+  hands: [
+    '5t 1w9w 1s9s 1z2z3z4z5z6z7z 2w8w',
+    '5t5t 2w8w 2t8t 3s6s 1z2z3z4z7z',
+    '4t 9t 123w 456w 789s 22s',
+    '3w7w 3t7t 1s4s5s8s 2z3z4z5z6z'
+  ],
+  wall: '7z1z7z5t',
+  tail: '9w'
+};
+
+// 同上，但2号位听嵌张 5t，可以抢杠
+const QIANG_GANG_STACK = {
+  hands: [
+    '5t 1w9w 1t9t 1s9s 1z2z3z4z5z6z7z',
+    '5t5t 2w8w 2t8t 3s6s 1z2z3z4z7z',
+    '4t6t 123w 456w 789s 22s',
+    '3w7w 3t7t 1s4s5s8s 2z3z4z5z6z'
+  ],
+  wall: '7z1z7z5t'
+};
+
+/**
+ * 1号位碰 5t 后一圈摸到第四张 5t 并加杠
+ */
+const declareJiaGang = stack => {
+  const setup = createGame(stack);
+  const { data, game } = setup;
+
+  game.playerDiscard(0, findCard(data, 0, 'tong_5'));
+  if (data.claimWindow.eligible.some(entry => entry.position === 2)) {
+    game.submitClaim(2, PLAYER_ACTIONS.PASS);
+  }
+  game.submitClaim(1, PLAYER_ACTIONS.PENG);
+  game.playerDiscard(1, findCard(data, 1, 'zi_1'));
+  [2, 3, 0].forEach(position => game.playerDiscard(position, data.players[position].lastDrawnCard));
+
+  game.applyGang(1, GANG_TYPES.JIA, data.players[1].lastDrawnCard);
+  return setup;
+};
+
+const expectCode = (fn, code) => expect(fn).toThrow(expect.objectContaining({ code }));
+
+describe('暗杠和加杠', () => {
+  it('暗杠四张对其他玩家隐藏，并从牌尾补牌', () => {
+    const { data, game } = createGame(AN_GANG_STACK);
+
+    game.applyGang(0, GANG_TYPES.AN, findCard(data, 0, 'wan_1'));
+
+    const player = data.players[0];
+    expect(player.exposedCards[0]).toMatchObject({ type: 'gang', concealed: true });
+    expect(player.exposedCards[0].cards).toHaveLength(4);
+    expect(player.handCards).toHaveLength(11);
+    expect(data.lastDraw).toMatchObject({ player: 0, source: DRAW_SOURCES.GANG });
+    expect(data.lastDraw.cardId.startsWith('tong_9#')).toBe(true);
+    expect(data.tailDrawCount).toBe(1);
+
+    expect(game.getGameState(1).players[0].exposedCards[0]).toMatchObject({ cards: [], cardCount: 4, concealed: true });
+    expect(game.getGameState(0).players[0].exposedCards[0].cards).toHaveLength(4);
+  });
+
+  it('手中没有四张或不是自己回合时不能暗杠', () => {
+    const { data, game } = createGame(AN_GANG_STACK);
+
+    expectCode(() => game.applyGang(0, GANG_TYPES.AN, findCard(data, 0, 'tong_2')), 'GANG_NOT_ALLOWED');
+    expect(() => game.applyGang(1, GANG_TYPES.AN, findCard(data, 1, 'wan_2'))).toThrow('不是该玩家的回合');
+    expectCode(() => game.applyGang(0, 'unknown', findCard(data, 0, 'wan_1')), 'INVALID_GANG_TYPE');
+  });
+
+  it('碰后摸到第四张可以加杠，没人抢杠时加杠生效', () => {
+    const { data, game } = createGame(JIA_GANG_STACK);
+
+    game.playerDiscard(0, findCard(data, 0, 'tong_5'));
+    game.submitClaim(1, PLAYER_ACTIONS.PENG);
+    expectCode(() => game.applyGang(1, GANG_TYPES.JIA, findCard(data, 1, 'tong_5')), 'GANG_NOT_ALLOWED');
+
+    game.playerDiscard(1, findCard(data, 1, 'zi_1'));
+    [2, 3, 0].forEach(position => game.playerDiscard(position, data.players[position].lastDrawnCard));
+
+    game.applyGang(1, GANG_TYPES.JIA, data.players[1].lastDrawnCard);
+
+    const meld = data.players[1].exposedCards[0];
+    expect(meld.type).toBe('gang');
+    expect(meld.concealed).toBe(false);
+    expect(meld.cards).toHaveLength(4);
+    expect(data.claimWindow).toBeNull();
+    expect(data.lastDraw).toMatchObject({ player: 1, source: DRAW_SOURCES.GANG });
+    expect(data.gameHistory[data.gameHistory.length - 1]).toMatchObject({ action: 'gang', gangType: GANG_TYPES.JIA });
+  });
+
+  it('有人能抢杠胡时加杠暂不生效，只开放胡', () => {
+    const { data } = declareJiaGang(QIANG_GANG_STACK);
+
+    expect(data.claimWindow.kind).toBe(CLAIM_KINDS.QIANG_GANG);
+    expect(data.claimWindow.eligible.map(({ position, actions }) => ({ position, actions: [...actions] })))
+      .toEqual([{ position: 2, actions: [PLAYER_ACTIONS.HU] }]);
+    expect(data.players[1].exposedCards[0].type).toBe('peng');
+    expect(findCard(data, 1, 'tong_5')).toBeDefined();
+  });
+
+  it('放弃抢杠后加杠生效并补牌', () => {
+    const { data, game } = declareJiaGang(QIANG_GANG_STACK);
+
+    game.submitClaim(2, PLAYER_ACTIONS.PASS);
+
+    expect(data.players[1].exposedCards[0].type).toBe('gang');
+    expect(data.lastDraw).toMatchObject({ player: 1, source: DRAW_SOURCES.GANG });
+  });
+
+  it('抢杠胡：加杠的人一家付，嵌张计夹中胡', () => {
+    const { data, game } = declareJiaGang(QIANG_GANG_STACK);
+
+    game.submitClaim(2, PLAYER_ACTIONS.HU);
+
+    expect(data.winType).toBe(WIN_TYPES.QIANG_GANG_HU);
+    expect(data.winDetail.from).toBe(1);
+    expect(data.winDetail.huItems.map(item => item.name)).toEqual(['夹中胡']);
+    expect(data.scoreDetail.points).toBe(40);
+    expect(data.settlement.totals).toEqual([0, -40, 40, 0]);
+    expect(data.players[1].exposedCards[0].type).toBe('peng');
+  });
+
+  it('杠上开花：杠后补到花再补的牌也算杠上开花，三家各付', () => {
+    const { data, game } = createGame({ ...AN_GANG_STACK, tail: '1h5z' });
+
+    game.applyGang(0, GANG_TYPES.AN, findCard(data, 0, 'wan_1'));
+    expect(data.players[0].flowerCards).toEqual(['hua_1#0']);
+    expect(data.tailDrawCount).toBe(2);
+    expect(data.players[0].availableActions).toEqual([PLAYER_ACTIONS.HU]);
+
+    game.declareWinOnDraw(0);
+
+    expect(data.winType).toBe(WIN_TYPES.GANG_SHANG_KAI_HUA);
+    expect(data.winDetail.huItems.map(item => item.name)).toEqual(['花牌', '幺九牌暗杠', '自摸']);
+    expect(data.winDetail.huCount).toBe(38);
+    expect(data.winDetail.fanCount).toBe(1);
+    expect(data.scoreDetail.points).toBe(140);
+    expect(data.settlement.totals).toEqual([420, -140, -140, -140]);
+  });
+});
@@ -0,0 +1,151 @@
+const { PLAYER_ACTIONS, CHI_TYPES } = require('../../src/models/Game');
+const { Card, MELD_TYPES } = require('../../src/models/Card');
+const { createGame, findCard } = require('../helpers');
+
+// 0号位打出 5t：1号位三种吃法都有，2号位可以碰或杠
+const MELD_STACK = {
+  hands: [
+    '5t 1w9w 1s9s 1z2z3z4z5z6z7z 2w8w',
+    '34679t 1w 2s4s6s8s 2z4z6z',
+    '555t 3w3w 7w 1s 3s5s7s 3z5z7z',
+    '123w 456w 789s 22s 8t9t'
+  ]
+};
+
+const discardFive = () => {
+  const setup = createGame(MELD_STACK);
+  setup.game.playerDiscard(0, findCard(setup.data, 0, 'tong_5'));
+  return setup;
+};
+
+/**
+ * 窗口中其他还没响应的玩家都过
+ */
+const passOthers = (game, claimer) => {
+  const window = game.data.claimWindow;
+  if (!window) return;
+  window.eligible
+    .filter(({ position }) => position !== claimer && !window.responses.some(response => response.position === position))
+    .forEach(({ position }) => game.submitClaim(position, PLAYER_ACTIONS.PASS));
+};
+
+const kinds = cardIds => cardIds.map(cardId => cardId.split('#')[0]);
+
+const expectGameError = (fn, code) => expect(fn).toThrow(expect.objectContaining({ code }));
+
+describe('吃碰杠的牌组校验', () => {
+  describe('吃牌组合', () => {
+    it('列出吃头、吃中、吃尾三种组合', () => {
+      const { game } = discardFive();
+
+      const options = game.getPendingChiOptions(1);
+
+      expect(options.map(option => option.type)).toEqual([CHI_TYPES.LOW, CHI_TYPES.MIDDLE, CHI_TYPES.HIGH]);
+      expect(options.map(option => kinds(option.cards))).toEqual([
+        ['tong_5', 'tong_6', 'tong_7'],
+        ['tong_4', 'tong_5', 'tong_6'],
+        ['tong_3', 'tong_4', 'tong_5']
+      ]);
+      options.forEach(option => expect(option.cards).toContain(option.handCards[0]));
+    });
+
+    it('不能吃的玩家、字牌和已响应后都没有组合', () => {
+      const { data, game } = discardFive();
+
+      expect(game.getPendingChiOptions(2)).toEqual([]);
+      expect(game.getChiOptions(1, 'zi_2')).toEqual([]);
+
+      game.submitClaim(1, PLAYER_ACTIONS.PASS);
+      expect(game.getPendingChiOptions(1)).toEqual([]);
+      expect(data.claimWindow).not.toBeNull();
+    });
+
+    it('按组合类型吃牌，亮出整组顺子', () => {
+      const { data, game } = discardFive();
+
+      game.submitClaim(1, PLAYER_ACTIONS.CHI, CHI_TYPES.MIDDLE);
+      passOthers(game, 1);
+
+      const [meld] = data.players[1].exposedCards;
+      expect(meld.type).toBe(MELD_TYPES.CHI);
+      expect(kinds(meld.cards)).toEqual(['tong_4', 'tong_5', 'tong_6']);
+      expect(Card.formatTiles(data.players[1].handCards)).toBe('1w379t2468s246z');
+    });
+
+    it('按两张手牌吃牌，顺序不限', () => {
+      const { data, game } = discardFive();
+
+      game.submitClaim(1, PLAYER_ACTIONS.CHI, [findCard(data, 1, 'tong_4'), findCard(data, 1, 'tong_3')]);
+      passOthers(game, 1);
+
+      expect(kinds(data.players[1].exposedCards[0].cards)).toEqual(['tong_3', 'tong_4', 'tong_5']);
+    });
+
+    it('有多种组合时必须指定', () => {
+      const { game } = discardFive();
+
+      expectGameError(() => game.submitClaim(1, PLAYER_ACTIONS.CHI), 'CHI_OPTION_REQUIRED');
+    });
+
+    it('不是合法组合的吃牌被拒绝', () => {
+      const { data, game } = discardFive();
+
+      expectGameError(() => game.submitClaim(1, PLAYER_ACTIONS.CHI, 'top'), 'INVALID_CHI');
+      expectGameError(() => game.submitClaim(1, PLAYER_ACTIONS.CHI,
+        [findCard(data, 1, 'tong_3'), findCard(data, 1, 'tong_7')]), 'INVALID_CHI');
+      expectGameError(() => game.submitClaim(1, PLAYER_ACTIONS.CHI,
+        [findCard(data, 1, 'tong_9'), findCard(data, 1, 'tong_7')]), 'INVALID_CHI');
+    });
+
+    it('不在手中或重复提交的牌被拒绝', () => {
+      const { data, game } = discardFive();
+      const four = findCard(data, 1, 'tong_4');
+
+      expectGameError(() => game.submitClaim(1, PLAYER_ACTIONS.CHI,
+        [findCard(data, 2, 'tong_5'), four]), 'INVALID_TILE');
+      expectGameError(() => game.submitClaim(1, PLAYER_ACTIONS.CHI, [four, four]), 'INVALID_TILE');
+      expect(data.claimWindow.responses).toEqual([]);
+    });
+  });
+
+  describe('碰和明杠', () => {
+    it('不指定手牌时由服务端选取', () => {
+      const { data, game } = discardFive();
+
+      game.submitClaim(2, PLAYER_ACTIONS.PENG);
+      passOthers(game, 2);
+
+      expect(kinds(data.players[2].exposedCards[0].cards)).toEqual(['tong_5', 'tong_5', 'tong_5']);
+      expect(data.players[2].handCards.filter(cardId => Card.isSameKind(cardId, 'tong_5'))).toHaveLength(1);
+    });
+
+    it('明杠亮出指定的三张手牌', () => {
+      const { data, game } = discardFive();
+      const fives = data.players[2].handCards.filter(cardId => Card.isSameKind(cardId, 'tong_5'));
+
+      game.submitClaim(2, PLAYER_ACTIONS.GANG, fives);
+      passOthers(game, 2);
+
+      expect(data.players[2].exposedCards[0]).toMatchObject({ type: MELD_TYPES.GANG });
+      expect(data.players[2].exposedCards[0].cards).toEqual(expect.arrayContaining(fives));
+      expect(data.players[2].exposedCards[0].cards).toHaveLength(4);
+    });
+
+    it('牌种不符或张数不对时报 INVALID_MELD', () => {
+      const { data, game } = discardFive();
+      const fives = data.players[2].handCards.filter(cardId => Card.isSameKind(cardId, 'tong_5'));
+
+      expectGameError(() => game.submitClaim(2, PLAYER_ACTIONS.PENG,
+        [fives[0], findCard(data, 2, 'wan_3')]), 'INVALID_MELD');
+      expectGameError(() => game.submitClaim(2, PLAYER_ACTIONS.PENG, fives), 'INVALID_MELD');
+      expectGameError(() => game.submitClaim(2, PLAYER_ACTIONS.GANG, fives.slice(0, 2)), 'INVALID_MELD');
+    });
+
+    it('提交别人的牌时报 INVALID_TILE', () => {
+      const { data, game } = discardFive();
+
+      expectGameError(() => game.submitClaim(2, PLAYER_ACTIONS.PENG,
+        [findCard(data, 2, 'tong_5'), findCard(data, 1, 'tong_4')]), 'INVALID_TILE');
+    });
+  });
+});
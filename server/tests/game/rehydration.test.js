@@ -0,0 +1,78 @@
+const { Game, GameModel, GANG_TYPES, PLAYER_ACTIONS, GAME_STATES } = require('../../src/models/Game');
+const { createGame, findCard } = require('../helpers');
+
+/**
+ * 模拟从数据库读回：按保存的文档重新创建 Game
+ */
+const reload = data => {
+  const stored = new GameModel(data.toObject());
+  return { data: stored, game: new Game(stored) };
+};
+
+const wallIds = game => game.deck.cards.map(card => card.id);
+
+/**
+ * 当前玩家打出刚摸到的牌，有人能抢时都过
+ */
+const step = game => {
+  const { data } = game;
+  if (data.claimWindow) {
+    data.claimWindow.eligible.forEach(({ position }) => game.submitClaim(position, PLAYER_ACTIONS.PASS));
+    return;
+  }
+  const player = data.players[data.currentPlayer];
+  game.playerDiscard(data.currentPlayer, data.lastDraw ? data.lastDraw.cardId : player.handCards[0]);
+};
+
+describe('按保存的文档还原游戏', () => {
+  it('还原出的牌墙、两端摸牌位置和手牌计数与原来一致', () => {
+    const { data, game } = createGame({
+      hands: [
+        '1111w 234t 567s 678s 5z',
+        '2223w 5t 678w 345s 12z',
+        '2w 3456t 789t 147s 5z6z',
+        '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+      ],
+      tail: '1h'
+    });
+    game.applyGang(0, GANG_TYPES.AN, findCard(data, 0, 'wan_1'));
+    for (let i = 0; i < 6; i++) step(game);
+
+    const restored = reload(data);
+
+    expect(restored.data.headDrawCount).toBe(data.headDrawCount);
+    expect(restored.data.tailDrawCount).toBe(2);
+    expect(wallIds(restored.game)).toEqual(wallIds(game));
+    expect(restored.game.getLiveWallCount()).toBe(game.getLiveWallCount());
+    restored.game.handCounts.forEach((counts, position) => {
+      expect(counts.equals(game.handCounts[position])).toBe(true);
+    });
+    expect(restored.game.auditTiles().valid).toBe(true);
+  });
+
+  it('还原后继续打与不还原的结果相同', () => {
+    const original = createGame(null, { seed: 'rehydrate' });
+    for (let i = 0; i < 10; i++) step(original.game);
+
+    let restored = reload(original.data);
+    while (original.data.state === GAME_STATES.PLAYING) {
+      step(original.game);
+      step(restored.game);
+      restored = reload(restored.data);
+
+      expect(restored.data.currentPlayer).toBe(original.data.currentPlayer);
+      expect(wallIds(restored.game)).toEqual(wallIds(original.game));
+    }
+
+    expect(restored.data.state).toBe(GAME_STATES.FINISHED);
+    expect(restored.data.winType).toBe(original.data.winType);
+    expect(restored.data.players.map(player => [...player.handCards]))
+      .toEqual(original.data.players.map(player => [...player.handCards]));
+  });
+
+  it('还没开牌的游戏还原为完整的新牌堆', () => {
+    const game = new Game(new GameModel({ roomId: 'room', players: [] }));
+
+    expect(game.deck.getRemainingCount()).toBe(144);
+  });
+});
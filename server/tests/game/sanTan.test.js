@@ -0,0 +1,69 @@
+const { createGame, findCard } = require('../helpers');
+
+const OTHER_HANDS = [
+  '2w 3456t 789t 147s 5z6z',
+  '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+];
+
+const SAN_TAN_HAND = '111w 333w 555w 7w7w 2t3t';
+
+/**
+ * 把玩家手中的几种牌各三张亮成碰出的牌组
+ */
+const exposePengs = (game, position, kinds) => {
+  const player = game.data.players[position];
+
+  kinds.forEach(kind => {
+    const cards = player.handCards.filter(cardId => cardId.startsWith(`${kind}#`)).slice(0, 3);
+    player.handCards = player.handCards.filter(cardId => !cards.includes(cardId));
+    player.exposedCards.push({ type: 'peng', cards, from: (position + 3) % 4 });
+  });
+
+  game.rebuildHandCounts();
+};
+
+/**
+ * 1号位碰出三组万子构成三摊
+ */
+const createSanTanGame = (dealerHand, wall = '') => {
+  const setup = createGame({ hands: [dealerHand, SAN_TAN_HAND, ...OTHER_HANDS], wall });
+  exposePengs(setup.game, 1, ['wan_1', 'wan_3', 'wan_5']);
+  return setup;
+};
+
+describe('三摊和包牌', () => {
+  it('未听牌的玩家打出三摊的花色时记为包牌', () => {
+    const { data, game } = createSanTanGame('1w9w 1s9s 1z2z3z4z5z6z7z 2w8w 9t');
+
+    // 三组都是碰出的万子：不能打万子，也不能打大幺牌
+    expect(game.getSanTanStates()).toEqual([expect.objectContaining({ position: 1, types: ['wan'], terminals: true })]);
+    expect(game.getDangerousDiscards(0).map(cardId => cardId.split('#')[0]))
+      .toEqual(expect.arrayContaining(['wan_2', 'wan_8', 'suo_1', 'zi_1']));
+
+    const cardId = findCard(data, 0, 'wan_2');
+    game.playerDiscard(0, cardId);
+
+    expect(data.liabilities).toHaveLength(1);
+    expect(data.liabilities[0]).toMatchObject({ offender: 0, sanTanPlayer: 1, cardId });
+  });
+
+  it('打出后仍听牌时不受三摊限制', () => {
+    const { data, game } = createSanTanGame('123w 456w 789s 22s 4t6t 9w');
+
+    expect(game.getDangerousDiscards(0).map(cardId => cardId.split('#')[0])).not.toContain('wan_9');
+    game.playerDiscard(0, findCard(data, 0, 'wan_9'));
+
+    expect(data.liabilities).toHaveLength(0);
+  });
+
+  it('三摊玩家胡牌时由包牌的玩家替三家付', () => {
+    const { data, game } = createSanTanGame('1w9w 1s9s 1z2z3z4z5z6z7z 2w8w 9t', '4t');
+
+    game.playerDiscard(0, findCard(data, 0, 'wan_2'));
+    game.declareWinOnDraw(1);
+
+    expect(data.scoreDetail.points).toBe(40);
+    expect(data.scoreDetail.liability).toMatchObject({ offender: 0 });
+    expect(data.scoreDetail.payments).toEqual([{ from: 0, to: 1, amount: 120, baoPai: true }]);
+  });
+});
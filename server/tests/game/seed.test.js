@@ -0,0 +1,82 @@
+const { GAME_STATES, PLAYER_ACTIONS } = require('../../src/models/Game');
+const { CardDeck } = require('../../src/models/Card');
+const SeededRandom = require('../../src/utils/seededRandom');
+const { createGame } = require('../helpers');
+
+/**
+ * 每人摸什么打什么、有人能抢都过，直到本局结束
+ */
+const playOut = game => {
+  const { data } = game;
+  while (data.state === GAME_STATES.PLAYING) {
+    if (data.claimWindow) {
+      data.claimWindow.eligible.forEach(({ position }) => game.submitClaim(position, PLAYER_ACTIONS.PASS));
+    } else {
+      const player = data.players[data.currentPlayer];
+      game.playerDiscard(data.currentPlayer, data.lastDraw ? data.lastDraw.cardId : player.handCards[0]);
+    }
+  }
+};
+
+describe('洗牌种子', () => {
+  it('同一种子得到相同的骰子、牌墙和手牌', () => {
+    const first = createGame(null, { dealer: null, seed: 'same-seed' }).data;
+    const second = createGame(null, { dealer: null, seed: 'same-seed' }).data;
+
+    expect(second.dice.rolls.map(roll => roll.values)).toEqual(first.dice.rolls.map(roll => roll.values));
+    expect(second.dealer).toBe(first.dealer);
+    expect([...second.deck]).toEqual([...first.deck]);
+    expect(second.players.map(player => [...player.handCards]))
+      .toEqual(first.players.map(player => [...player.handCards]));
+  });
+
+  it('不同种子洗出不同的牌墙', () => {
+    const first = createGame(null, { seed: 'seed-a' }).data;
+    const second = createGame(null, { seed: 'seed-b' }).data;
+
+    expect([...second.deck]).not.toEqual([...first.deck]);
+  });
+
+  it('按种子和开牌位置可以重新推算出牌墙', () => {
+    const { data } = createGame(null, { seed: 'derive' });
+
+    expect(CardDeck.deriveWall('derive', data.dice.breakIndex)).toEqual([...data.deck]);
+  });
+
+  it('发牌时只公布种子的哈希，本局结束后才公布种子', () => {
+    const { data, game } = createGame(null, { seed: 'reveal' });
+
+    expect(game.getShuffleProof()).toEqual({
+      algorithm: 'hmac-sha256-fisher-yates',
+      commitment: SeededRandom.hashSeed('reveal'),
+      seed: null,
+      revealedAt: null
+    });
+    expect(game.getGameState(0).shuffleProof.seed).toBeNull();
+
+    playOut(game);
+
+    const proof = game.getShuffleProof();
+    expect(proof.seed).toBe('reveal');
+    expect(proof.revealedAt).toEqual(data.endTime);
+    expect(SeededRandom.hashSeed(proof.seed)).toBe(proof.commitment);
+  });
+
+  it('摆牌的牌局不提供种子', () => {
+    const { game } = createGame({
+      hands: [
+        '1111w 234t 567s 678s 5z',
+        '2223w 5t 678w 345s 12z',
+        '2w 3456t 789t 147s 5z6z',
+        '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+      ]
+    });
+
+    expect(game.getShuffleProof()).toEqual({
+      algorithm: 'stacked',
+      commitment: null,
+      seed: null,
+      revealedAt: null
+    });
+  });
+});
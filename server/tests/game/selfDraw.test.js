@@ -0,0 +1,88 @@
+const { PLAYER_ACTIONS, DRAW_SOURCES, WIN_TYPES } = require('../../src/models/Game');
+const { createGame, findCard } = require('../helpers');
+
+const OTHER_HANDS = [
+  '2223w 5t 678w 345s 12z',
+  '2w 3456t 789t 147s 5z6z',
+  '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+];
+
+// 0号位打出 9t 没人要，1号位摸到 5t 自摸
+const DRAW_WIN_STACK = {
+  hands: [
+    '1w9w 1s9s 1z2z3z4z5z6z7z 2w8w 9t',
+    '123w 456w 789s 22s 4t6t',
+    '3w3w 7w 1t 3s5s7s 3z5z7z 4s6s 2t',
+    '5w 7w 3t7t 1s4s8s 2z4z6z 6t8t 2t'
+  ],
+  wall: '5t'
+};
+
+const expectCannotHu = fn => expect(fn).toThrow(expect.objectContaining({ code: 'CANNOT_HU' }));
+
+describe('自摸', () => {
+  it('摸到能胡的牌时提示胡，自摸由三家各付', () => {
+    const { data, game } = createGame(DRAW_WIN_STACK);
+
+    game.playerDiscard(0, findCard(data, 0, 'tong_9'));
+    expect(data.currentPlayer).toBe(1);
+    expect(data.lastDraw).toMatchObject({ player: 1, source: DRAW_SOURCES.WALL });
+    expect(data.players[1].availableActions).toEqual([PLAYER_ACTIONS.HU]);
+
+    game.declareWinOnDraw(1);
+
+    expect(data.winner).toBe(1);
+    expect(data.winType).toBe(WIN_TYPES.ZI_MO);
+    expect(data.winDetail.isSelfDraw).toBe(true);
+    expect(data.winDetail.huItems.map(item => item.name)).toEqual(['自摸', '夹中胡']);
+    expect(data.scoreDetail.payments.map(payment => payment.from)).toEqual([0, 2, 3]);
+  });
+
+  it('只有刚摸牌的玩家能自摸', () => {
+    const { data, game } = createGame(DRAW_WIN_STACK);
+
+    game.playerDiscard(0, findCard(data, 0, 'tong_9'));
+
+    expectCannotHu(() => game.declareWinOnDraw(0));
+    game.playerDiscard(1, data.players[1].lastDrawnCard);
+    expectCannotHu(() => game.declareWinOnDraw(1));
+  });
+
+  it('没胡牌时不能自摸', () => {
+    const { data, game } = createGame({ hands: ['1111w 234t 567s 678s 5z', ...OTHER_HANDS] });
+
+    expect(data.players[0].availableActions).toEqual([]);
+    expectCannotHu(() => game.declareWinOnDraw(0));
+  });
+
+  it('庄家起手就胡时可以直接胡', () => {
+    const { data, game } = createGame({ hands: ['111w 234t 567s 678s 55z', ...OTHER_HANDS] });
+
+    expect(data.lastDraw).toMatchObject({ player: 0, source: DRAW_SOURCES.WALL });
+    expect(data.players[0].availableActions).toEqual([PLAYER_ACTIONS.HU]);
+
+    game.declareWinOnDraw(0);
+    expect(data.winner).toBe(0);
+    expect(data.winType).toBe(WIN_TYPES.ZI_MO);
+  });
+
+  it('庄家起手补花后胡牌也可以直接胡', () => {
+    const { data, game } = createGame({ hands: ['111w 234t 567s 678s 5z 1h', ...OTHER_HANDS], tail: '5z' });
+
+    expect(data.players[0].flowerCards).toHaveLength(1);
+    expect(data.lastDraw).toMatchObject({ player: 0, source: DRAW_SOURCES.FLOWER });
+    expect(data.lastDraw.cardId.startsWith('zi_5#')).toBe(true);
+
+    game.declareWinOnDraw(0);
+    expect(data.winDetail.huItems.map(item => item.name)).toContain('花牌');
+  });
+
+  it('洗牌发牌后同样记录庄家最后一张牌', () => {
+    const { data } = createGame(null, { dealer: 2 });
+    const dealer = data.players[2];
+
+    expect(dealer.handCards).toHaveLength(14);
+    expect(data.lastDraw).toMatchObject({ player: 2, cardId: dealer.handCards[13] });
+    expect(dealer.lastDrawnCard).toBe(dealer.handCards[13]);
+  });
+});
@@ -0,0 +1,51 @@
+const { Game } = require('../../src/models/Game');
+const { Card } = require('../../src/models/Card');
+const { createGame } = require('../helpers');
+
+const HANDS = [
+  '2223w 5t 678w 345s 12z',
+  '1111w 234t 567s 678s 5z',
+  '2w 3456t 789t 147s 5z6z',
+  '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+];
+
+describe('摆牌', () => {
+  describe('getStackDealer', () => {
+    it('起手 14 张的座位为庄家', () => {
+      expect(Game.getStackDealer({ hands: HANDS })).toBe(1);
+    });
+
+    it('显式指定的庄家优先', () => {
+      expect(Game.getStackDealer({ hands: HANDS, dealer: 3 })).toBe(3);
+    });
+
+    it('没有摆手牌时不指定庄家', () => {
+      expect(Game.getStackDealer({ wall: '1w' })).toBeNull();
+    });
+
+    it('庄家座位或记法无效时报 INVALID_STACK', () => {
+      expect(() => Game.getStackDealer({ dealer: 4 })).toThrow(expect.objectContaining({ code: 'INVALID_STACK' }));
+      expect(() => Game.getStackDealer({ hands: ['1x'] })).toThrow(expect.objectContaining({ code: 'INVALID_STACK' }));
+    });
+  });
+
+  it('按摆好的手牌、牌头和牌尾发牌', () => {
+    const { data } = createGame({ hands: HANDS, wall: '9t', tail: '9s' }, { dealer: 1 });
+
+    expect(Card.formatTiles(data.players[1].handCards)).toBe(Card.formatTiles(Card.parseTiles(HANDS[1])));
+    expect(data.players[1].handCards).toHaveLength(14);
+    expect(data.deck[data.deck.length - 1]).toMatch(/^tong_9#/);
+    expect(data.deck[0]).toMatch(/^suo_9#/);
+  });
+
+  it('同一种牌超过 4 张时报 INVALID_STACK', () => {
+    const hands = [...HANDS];
+    hands[2] = '1w 3456t 789t 147s 5z6z';
+
+    expect(() => createGame({ hands }, { dealer: 1 })).toThrow(expect.objectContaining({ code: 'INVALID_STACK' }));
+  });
+
+  it('庄家手牌张数不对时报 INVALID_STACK', () => {
+    expect(() => createGame({ hands: HANDS }, { dealer: 0 })).toThrow(expect.objectContaining({ code: 'INVALID_STACK' }));
+  });
+});
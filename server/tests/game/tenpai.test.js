@@ -0,0 +1,68 @@
+const { GANG_TYPES, PLAYER_ACTIONS } = require('../../src/models/Game');
+const { createGame, findCard } = require('../helpers');
+
+// 1号位听 2w、5w；0号位暗杠 5w 后打出 2w
+const TENPAI_STACK = {
+  hands: [
+    '5555w 22w 1s9s 1z2z3z 9t9t 7z',
+    '34w 234t 567s 678s 11z',
+    '3w3w 7w 1t 3s5s7s9s 3z5z7z 6t8t',
+    '123w 678w 789s 22s 4t6t'
+  ],
+  wall: '7z',
+  tail: '9w'
+};
+
+const discardTwo = () => {
+  const setup = createGame(TENPAI_STACK);
+  setup.game.applyGang(0, GANG_TYPES.AN, findCard(setup.data, 0, 'wan_5'));
+  setup.game.playerDiscard(0, findCard(setup.data, 0, 'wan_2'));
+  return setup;
+};
+
+describe('听牌', () => {
+  it('给出听的牌和各自还没见到的张数，别人的暗杠不算见到', () => {
+    const { game } = discardTwo();
+
+    expect(game.isTenpai(1)).toBe(true);
+    expect(game.getTenpaiInfo(1)).toEqual({
+      tenpai: true,
+      waits: [{ cardId: 'wan_2', remaining: 3 }, { cardId: 'wan_5', remaining: 4 }],
+      remaining: 7,
+      discards: []
+    });
+  });
+
+  it('暗杠的玩家自己看得到杠里的牌', () => {
+    const { game } = discardTwo();
+
+    expect(game.countVisibleTiles(0).count(4)).toBe(4);
+    expect(game.countVisibleTiles(2).count(4)).toBe(0);
+  });
+
+  it('没听牌时不给出听的牌', () => {
+    const { game } = discardTwo();
+
+    expect(game.isTenpai(2)).toBe(false);
+    expect(game.getTenpaiInfo(2)).toEqual({ tenpai: false, waits: [], remaining: 0, discards: [] });
+  });
+
+  it('轮到出牌时给出打哪张可以听牌、打后听什么', () => {
+    const { data, game } = discardTwo();
+    game.submitClaim(1, PLAYER_ACTIONS.PASS);
+    const drawn = data.lastDraw.cardId;
+
+    expect(drawn).toMatch(/^zi_7#/);
+    expect(game.getTenpaiInfo(1)).toEqual({
+      tenpai: false,
+      waits: [],
+      remaining: 0,
+      discards: [{
+        cardId: drawn,
+        waits: [{ cardId: 'wan_2', remaining: 3 }, { cardId: 'wan_5', remaining: 4 }]
+      }]
+    });
+    expect(game.isTenpai(1, drawn)).toBe(true);
+    expect(game.isTenpai(1, findCard(data, 1, 'zi_1'))).toBe(false);
+  });
+});
@@ -0,0 +1,359 @@
+jest.mock('../src/utils/logger', () => ({
+  info: jest.fn(),
+  error: jest.fn(),
+  game: jest.fn(),
+  socket: jest.fn(),
+  security: jest.fn()
+}));
+
+const GameController = require('../src/controllers/gameController');
+const logger = require('../src/utils/logger');
+const { GameModel, GAME_STATES, PLAYER_ACTIONS } = require('../src/models/Game');
+const { Room, ROOM_STATES } = require('../src/models/Room');
+const SeededRandom = require('../src/utils/seededRandom');
+const { PLAYERS, createGame, createRoom, findCard } = require('./helpers');
+
+/**
+ * 模拟 Express 的请求和响应
+ */
+const createRequest = (position, body = {}, io = null) => ({
+  params: { gameId: 'game' },
+  body,
+  user: { id: PLAYERS[position].userId },
+  app: { get: key => (key === 'io' ? io : undefined) }
+});
+
+const createResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+/**
+ * 使用内存中的游戏文档代替数据库
+ */
+const mockGame = stack => {
+  const setup = createGame(stack);
+  setup.data.save = jest.fn().mockResolvedValue(setup.data);
+  jest.spyOn(GameModel, 'findById').mockResolvedValue(setup.data);
+  jest.spyOn(Room, 'findByRoomId').mockResolvedValue(null);
+  return setup;
+};
+
+// 0号位打出 5t 后，2号位可以碰，3号位可以胡
+const CLAIM_STACK = {
+  hands: [
+    '5t 1w9w 1s9s 1z2z3z4z5z6z7z 2w8w',
+    '1w1w 5w 9t 2s4s6s8s 2z4z6z 3t7t',
+    '5t5t 3w3w 7w 1t 3s5s7s9s 3z5z7z',
+    '123w 456w 789s 22s 4t6t'
+  ]
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GameController', () => {
+  describe('创建游戏', () => {
+    const createGameRequest = (body, role = 'user') => ({
+      body: { roomId: 'room', ...body },
+      user: { id: PLAYERS[0].userId, role },
+      app: { get: () => null }
+    });
+
+    /**
+     * 四人都已准备的房间，游戏文档的保存不落库
+     */
+    const mockReadyRoom = () => {
+      const room = createRoom();
+      room.data.state = ROOM_STATES.READY;
+      jest.spyOn(Room, 'findByRoomId').mockResolvedValue(room);
+      jest.spyOn(GameModel.prototype, 'save').mockResolvedValue();
+      return room;
+    };
+
+    it('开发测试环境可以指定洗牌种子，发牌时只公布种子的哈希', async () => {
+      const room = mockReadyRoom();
+      const res = createResponse();
+
+      await GameController.createGame(createGameRequest({ seed: 'fixed' }), res);
+
+      const { gameState } = res.json.mock.calls[0][0].data;
+      expect(gameState.shuffleProof).toMatchObject({
+        commitment: SeededRandom.hashSeed('fixed'),
+        seed: null
+      });
+      expect(room.data.state).toBe(ROOM_STATES.PLAYING);
+    });
+
+    it('生产环境不允许指定洗牌种子', async () => {
+      const nodeEnv = process.env.NODE_ENV;
+      process.env.NODE_ENV = 'production';
+      mockReadyRoom();
+      const res = createResponse();
+
+      try {
+        await GameController.createGame(createGameRequest({ seed: 'fixed' }), res);
+      } finally {
+        process.env.NODE_ENV = nodeEnv;
+      }
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'SEED_NOT_ALLOWED' }));
+      expect(GameModel.prototype.save).not.toHaveBeenCalled();
+    });
+
+    it('种子必须是非空字符串', async () => {
+      mockReadyRoom();
+      const res = createResponse();
+
+      await GameController.createGame(createGameRequest({ seed: '' }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_SEED' }));
+    });
+
+    const STACK = {
+      hands: [
+        '2223w 5t 678w 345s 12z',
+        '1111w 234t 567s 678s 5z',
+        '2w 3456t 789t 147s 5z6z',
+        '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+      ]
+    };
+
+    it('管理员可以指定牌局，起手 14 张的座位坐庄', async () => {
+      const room = mockReadyRoom();
+      const res = createResponse();
+
+      await GameController.createGame(createGameRequest({ stack: STACK }, 'admin'), res);
+
+      const { gameState } = res.json.mock.calls[0][0].data;
+      expect(gameState.dealer).toBe(1);
+      expect(gameState.players[1].handCardCount).toBe(14);
+      expect(GameModel.prototype.save).toHaveBeenCalledTimes(1);
+      expect(room.data.state).toBe(ROOM_STATES.PLAYING);
+    });
+
+    it('非管理员不能指定牌局', async () => {
+      mockReadyRoom();
+      const res = createResponse();
+
+      await GameController.createGame(createGameRequest({ stack: STACK }), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'STACK_NOT_ALLOWED' }));
+    });
+
+    it('牌局不合法时返回 INVALID_STACK，不保存游戏也不开始对局', async () => {
+      const room = mockReadyRoom();
+      const res = createResponse();
+      const stack = { hands: [...STACK.hands] };
+      stack.hands[2] = '1w 3456t 789t 147s 5z6z';
+
+      await GameController.createGame(createGameRequest({ stack }, 'admin'), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_STACK' }));
+      expect(GameModel.prototype.save).not.toHaveBeenCalled();
+      expect(room.data.state).toBe(ROOM_STATES.READY);
+    });
+  });
+
+  describe('抢牌窗口超时', () => {
+    const openExpiredWindow = () => {
+      const setup = mockGame(CLAIM_STACK);
+      setup.game.playerDiscard(0, findCard(setup.data, 0, 'tong_5'));
+      setup.data.claimWindow.deadline = new Date(Date.now() - 1000);
+      return setup;
+    };
+
+    it('超时后迟到的抢牌失败，超时的裁决结果仍然保存', async () => {
+      const { data } = openExpiredWindow();
+      const res = createResponse();
+
+      await GameController.playerPeng(createRequest(2), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'NO_CLAIM_WINDOW' }));
+      expect(data.save).toHaveBeenCalledTimes(1);
+      expect(data.claimWindow).toBeNull();
+      expect(data.currentPlayer).toBe(1);
+    });
+
+    it('超时裁决结束本局后，随后失败的操作不影响保存和房间结算', async () => {
+      const { data, game } = openExpiredWindow();
+      game.submitClaim(3, PLAYER_ACTIONS.HU);
+      const res = createResponse();
+
+      await GameController.playerDiscard(createRequest(0, { cardId: data.players[0].handCards[0] }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(data.state).toBe(GAME_STATES.FINISHED);
+      expect(data.winner).toBe(3);
+      expect(data.save).toHaveBeenCalledTimes(1);
+      expect(Room.findByRoomId).toHaveBeenCalledWith('room');
+    });
+  });
+
+  describe('吃牌', () => {
+    // 0号位打出 5t 后，1号位三种吃法都有
+    const CHI_STACK = {
+      hands: [
+        '5t 1w9w 1s9s 1z2z3z4z5z6z7z 2w8w',
+        '34679t 1w 2s4s6s8s 2z4z6z',
+        '555t 3w3w 7w 1s 3s5s7s 3z5z7z',
+        '123w 456w 789s 22s 8t9t'
+      ]
+    };
+
+    const openChiWindow = () => {
+      const setup = mockGame(CHI_STACK);
+      setup.game.playerDiscard(0, findCard(setup.data, 0, 'tong_5'));
+      return setup;
+    };
+
+    it('游戏状态中给出可选的吃牌组合', async () => {
+      openChiWindow();
+      const res = createResponse();
+
+      await GameController.getGameState(createRequest(1), res);
+
+      const { myChiOptions } = res.json.mock.calls[0][0].data;
+      expect(myChiOptions.map(option => option.type)).toEqual(['low', 'middle', 'high']);
+    });
+
+    it('按组合类型吃牌', async () => {
+      const { data } = openChiWindow();
+      const res = createResponse();
+
+      await GameController.playerChi(createRequest(1, { chiType: 'high' }), res);
+
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ success: true }));
+      expect(data.claimWindow.responses[0]).toMatchObject({ position: 1, action: PLAYER_ACTIONS.CHI });
+      expect(data.save).toHaveBeenCalledTimes(1);
+    });
+
+    it('不合法的组合返回 400 且不保存', async () => {
+      const { data } = openChiWindow();
+      const res = createResponse();
+
+      await GameController.playerChi(createRequest(1, { cardIds: [findCard(data, 1, 'tong_3'), findCard(data, 1, 'tong_7')] }), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'INVALID_CHI' }));
+      expect(data.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('出牌建议', () => {
+    const mockAdviceGame = discardAdvice => {
+      const setup = mockGame(null);
+      setup.data.settings.discardAdvice = discardAdvice;
+      return setup;
+    };
+
+    it('房间未开启时返回 ADVICE_DISABLED', async () => {
+      mockAdviceGame(false);
+      const res = createResponse();
+
+      await GameController.getDiscardAdvice(createRequest(0), res);
+
+      expect(res.status).toHaveBeenCalledWith(403);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ADVICE_DISABLED' }));
+    });
+
+    it('开启后返回建议并记录使用', async () => {
+      mockAdviceGame(true);
+      const res = createResponse();
+
+      await GameController.getDiscardAdvice(createRequest(0), res);
+
+      const { data: advice } = res.json.mock.calls[0][0];
+      expect(advice.discards.length).toBeGreaterThan(0);
+      expect(logger.game).toHaveBeenCalledWith('玩家使用出牌建议', expect.objectContaining({
+        position: 0,
+        shanten: advice.shanten,
+        suggested: advice.discards[0].cardId
+      }));
+    });
+
+    it('没轮到出牌时返回 ADVICE_NOT_AVAILABLE', async () => {
+      mockAdviceGame(true);
+      const res = createResponse();
+
+      await GameController.getDiscardAdvice(createRequest(1), res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'ADVICE_NOT_AVAILABLE' }));
+    });
+  });
+
+  describe('牌局核对', () => {
+    it('操作后出现重复的牌时返回 500 且不保存', async () => {
+      const { data } = mockGame(null);
+      data.players[2].discardedCards.push(data.players[1].handCards[0]);
+      const res = createResponse();
+
+      await GameController.playerDiscard(createRequest(0, { cardId: data.players[0].handCards[0] }), res);
+
+      expect(res.status).toHaveBeenCalledWith(500);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'TILE_AUDIT_FAILED' }));
+      expect(data.save).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('大结算推送', () => {
+    // 庄家起手就胡
+    const WIN_STACK = {
+      hands: [
+        '111w 234t 567s 678s 55z',
+        '2223w 5t 678w 345s 12z',
+        '2w 3456t 789t 147s 5z6z',
+        '9w 2t3t 888s 2z3z4z6z7z 8w7w'
+      ]
+    };
+
+    /**
+     * 房间正在打第 round 局，共 maxRounds 局
+     */
+    const mockRoom = (round, maxRounds) => {
+      const room = createRoom(PLAYERS, { maxRounds });
+      Object.assign(room.data, { state: ROOM_STATES.PLAYING });
+      room.data.match.round = round;
+      room.data.match.dealer = 0;
+      jest.spyOn(Room, 'findByRoomId').mockResolvedValue(room);
+      return room;
+    };
+
+    const createIo = () => {
+      const emit = jest.fn();
+      return { emit, to: jest.fn(() => ({ emit })) };
+    };
+
+    it('最后一局结束时向房间推送大结算', async () => {
+      mockGame(WIN_STACK);
+      const room = mockRoom(2, 2);
+      const io = createIo();
+
+      await GameController.playerHu(createRequest(0, {}, io), createResponse());
+
+      expect(room.data.state).toBe(ROOM_STATES.FINISHED);
+      expect(io.to).toHaveBeenCalledWith('room_room');
+      expect(io.emit).toHaveBeenCalledWith('room:final_report', room.data.finalReport);
+      expect(room.data.finalReport.players[0].winCount).toBe(1);
+    });
+
+    it('对局未结束时不推送', async () => {
+      mockGame(WIN_STACK);
+      mockRoom(1, 2);
+      const io = createIo();
+
+      await GameController.playerHu(createRequest(0, {}, io), createResponse());
+
+      expect(io.emit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,56 @@
+const { Game, GameModel } = require('../src/models/Game');
+const { Room, RoomModel } = require('../src/models/Room');
+
+const PLAYERS = [0, 1, 2, 3].map(i => ({ userId: `507f1f77bcf86cd79943901${i}` }));
+
+/**
+ * 开一局测试用的游戏，默认0号位坐庄、幺半三、不限制第一圈
+ * @param {Object|null} stack 指定牌局（见 Game.stackDeck），为空时按种子洗牌发牌
+ * @param {Object} options { mode, dealer, seed, roller, settings }，dealer 为 null 时掷骰子定庄
+ */
+const createGame = (stack = null, options = {}) => {
+  const { mode = 'yao_ban_san', dealer = 0, seed = 'spec', roller = 0, settings = {} } = options;
+  const data = new GameModel({
+    roomId: 'room',
+    players: [],
+    mode,
+    settings: { firstLapRestriction: false, ...settings }
+  });
+
+  const game = new Game(data);
+  game.initialize(PLAYERS, mode, dealer, { seed, roller });
+  game.dealCards(stack);
+  return { data, game };
+};
+
+/**
+ * 找出玩家手中某种牌的一张（牌种如 tong_5）
+ */
+const findCard = (data, position, kind) =>
+  data.players[position].handCards.find(cardId => cardId.startsWith(`${kind}#`));
+
+/**
+ * 创建房间，保存操作不访问数据库
+ * @param {Array} players 按座位排列的玩家，默认坐满四人
+ */
+const createRoom = (players = PLAYERS, gameSettings = { maxRounds: 3 }) => {
+  const data = new RoomModel({
+    roomId: 'room',
+    roomCode: '123456',
+    name: '测试房间',
+    owner: players[0].userId,
+    players: players.map((player, position) => ({ userId: player.userId, nickname: `玩家${position}`, position })),
+    gameSettings
+  });
+
+  const room = new Room(data);
+  room.save = jest.fn().mockResolvedValue();
+  return room;
+};
+
+module.exports = {
+  PLAYERS,
+  createGame,
+  createRoom,
+  findCard
+};
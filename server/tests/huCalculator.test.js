@@ -0,0 +1,55 @@
+const { Card } = require('../src/models/Card');
+const WinChecker = require('../src/services/winChecker');
+const { HuCalculator } = require('../src/services/huCalculator');
+
+/**
+ * 按手牌记法算出胡数，返回 { huCount, names }
+ */
+const calculate = (notation, options = {}) => {
+  const { handCards, melds, flowerCards, winningCard } = Card.parseHand(notation);
+  const [decomposition] = WinChecker.findDecompositions(handCards, melds);
+  const { huCount, items } = HuCalculator.calculate(decomposition, { flowerCards, winningCard, ...options });
+  return { huCount, names: items.map(item => item.name) };
+};
+
+describe('HuCalculator', () => {
+  it('自摸时暗刻按暗刻计算并加自摸', () => {
+    expect(calculate('111w 234t 567s 678s 55z 胡:5z', { isSelfDraw: true })).toEqual({
+      huCount: 10,
+      names: ['幺九牌暗刻', '自摸']
+    });
+  });
+
+  it('点炮胡时靠别人打的牌凑成的刻子按碰出计算', () => {
+    expect(calculate('111w 234t 567s 678s 55z 胡:1w')).toEqual({
+      huCount: 4,
+      names: ['幺九牌碰出']
+    });
+  });
+
+  it('只听一张的嵌张算夹中胡', () => {
+    expect(calculate('111w 234t 567s 678s 55z 胡:3t')).toEqual({
+      huCount: 10,
+      names: ['幺九牌暗刻', '夹中胡']
+    });
+  });
+
+  it('还能胡别的牌时不算夹中胡', () => {
+    expect(calculate('111w 234t 567s 678s 55z 胡:3t', { isSingleWait: false }).names).not.toContain('夹中胡');
+  });
+
+  it('边张和两面不算夹中胡', () => {
+    expect(calculate('111w 234t 567s 678s 55z 胡:2t').names).not.toContain('夹中胡');
+  });
+
+  it('明牌组、暗杠和花牌各自计胡', () => {
+    expect(calculate('[999s] (5555t) [2222z] 234w 11z 胡:4w 花:12h')).toEqual({
+      huCount: 44,
+      names: ['花牌', '花牌', '幺九牌碰出', '其他牌暗杠', '幺九牌明杠']
+    });
+  });
+
+  it('幺九牌暗杠三十二胡', () => {
+    expect(calculate('(1111w) 234t 567s 678s 55z 胡:5z').huCount).toBe(32);
+  });
+});
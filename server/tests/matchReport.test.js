@@ -0,0 +1,36 @@
+const { MatchReport } = require('../src/services/matchReport');
+
+const PLAYERS = [0, 1, 2, 3].map(position => ({ position, seat: position, userId: `user${position}`, nickname: `玩家${position}` }));
+
+const HANDS = [
+  { round: 1, gameId: 'g1', dealer: 0, winner: 0, isSelfDraw: true, silver: 90, winType: '自摸', scores: [270, -90, -90, -90] },
+  { round: 2, gameId: 'g2', dealer: 0, winner: 2, from: 1, isSelfDraw: false, silver: 120, scores: [0, -120, 120, 0] },
+  { round: 3, gameId: 'g3', dealer: 1, winner: null, isDraw: true, scores: [0, 0, 0, 0] },
+  { round: 4, gameId: 'g4', dealer: 1, winner: 2, from: 3, isSelfDraw: false, silver: 300, pattern: '清一色', scores: [0, 0, 300, -300] }
+];
+
+describe('MatchReport', () => {
+  const report = MatchReport.build(HANDS, PLAYERS);
+  const stats = position => report.players[position];
+
+  it('按局累计每位玩家的得分', () => {
+    expect(report.rounds).toBe(4);
+    expect(report.players.map(player => player.totalScore)).toEqual([270, -210, 330, -390]);
+  });
+
+  it('统计胡牌、自摸、坐庄胡和放冲次数', () => {
+    expect(stats(0)).toMatchObject({ winCount: 1, selfDrawCount: 1, dealerWinCount: 1, dealInCount: 0 });
+    expect(stats(1)).toMatchObject({ winCount: 0, dealInCount: 1 });
+    expect(stats(2)).toMatchObject({ winCount: 2, selfDrawCount: 0, dealerWinCount: 0 });
+    expect(stats(3)).toMatchObject({ dealInCount: 1 });
+  });
+
+  it('记录每位玩家银子最多的一手', () => {
+    expect(stats(2).biggestHand).toMatchObject({ round: 4, gameId: 'g4', pattern: '清一色', silver: 300 });
+    expect(stats(1).biggestHand).toBeNull();
+  });
+
+  it('流局不计胡牌和放冲', () => {
+    expect(report.hands[2]).toMatchObject({ round: 3, isDraw: true, winner: null });
+  });
+});
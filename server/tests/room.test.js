@@ -0,0 +1,144 @@
+const mongoose = require('mongoose');
+const { ROOM_STATES } = require('../src/models/Room');
+const { PLAYERS, createRoom } = require('./helpers');
+
+const readyAll = async room => {
+  for (const player of room.data.players) {
+    await room.playerReady(player.userId, true);
+  }
+};
+
+/**
+ * 全员准备后打一局，按给定结果结束
+ * @returns {boolean} 整场对局是否结束
+ */
+const playHand = async (room, result) => {
+  await readyAll(room);
+  const gameId = new mongoose.Types.ObjectId();
+  const { dealer } = room.getNextHand();
+  await room.startGame(gameId, dealer === null ? 0 : dealer);
+
+  return room.gameFinished({ gameId, dealer: room.data.match.dealer, isSelfDraw: false, ...result });
+};
+
+const DRAW = { winner: null, scores: [0, 0, 0, 0] };
+
+describe('Room 多局对局', () => {
+  it('四人都准备后才能开局', async () => {
+    const room = createRoom(PLAYERS.slice(0, 3));
+
+    await readyAll(room);
+    expect(room.data.state).toBe(ROOM_STATES.WAITING);
+
+    room.data.state = ROOM_STATES.READY;
+    await expect(room.startGame(new mongoose.Types.ObjectId(), 0)).rejects.toThrow('玩家数量不足');
+  });
+
+  it('开局后记录局数和庄家，玩家需重新准备', async () => {
+    const room = createRoom();
+
+    await readyAll(room);
+    expect(room.data.state).toBe(ROOM_STATES.READY);
+
+    await room.startGame(new mongoose.Types.ObjectId(), 2);
+    expect(room.data.state).toBe(ROOM_STATES.PLAYING);
+    expect(room.data.match.round).toBe(1);
+    expect(room.data.match.dealer).toBe(2);
+    expect(room.data.players.every(player => !player.isReady)).toBe(true);
+  });
+
+  it('庄家胡牌或流局连庄，否则下家坐庄', async () => {
+    const room = createRoom(PLAYERS, { maxRounds: 8 });
+
+    await playHand(room, { winner: 0, scores: [90, -30, -30, -30] });
+    expect(room.getNextHand()).toEqual({ round: 2, dealer: 0 });
+
+    await playHand(room, DRAW);
+    expect(room.getNextHand()).toEqual({ round: 3, dealer: 0 });
+
+    await playHand(room, { winner: 2, from: 1, scores: [0, -40, 40, 0] });
+    expect(room.getNextHand()).toEqual({ round: 4, dealer: 1 });
+    expect(room.data.match.totalScores).toEqual([90, -70, 10, -30]);
+    expect(room.data.state).toBe(ROOM_STATES.WAITING);
+  });
+
+  it('同一局只记录一次', async () => {
+    const room = createRoom();
+    await playHand(room, { winner: 1, scores: [-30, 90, -30, -30] });
+
+    const [record] = room.data.gameHistory;
+    await room.gameFinished({ gameId: record.gameId, dealer: 0, winner: 1, scores: [-30, 90, -30, -30] });
+
+    expect(room.data.gameHistory).toHaveLength(1);
+    expect(room.data.match.totalScores).toEqual([-30, 90, -30, -30]);
+  });
+
+  it('打满局数后对局结束，重新准备开始新的对局', async () => {
+    const room = createRoom();
+
+    expect(await playHand(room, DRAW)).toBe(false);
+    expect(await playHand(room, DRAW)).toBe(false);
+    expect(await playHand(room, DRAW)).toBe(true);
+    expect(room.data.state).toBe(ROOM_STATES.FINISHED);
+    expect(room.isMatchOver()).toBe(true);
+
+    await room.playerReady(PLAYERS[0].userId, true);
+    expect(room.data.match.round).toBe(0);
+    expect(room.isMatchOver()).toBe(false);
+  });
+
+  it('两局之间离开只标记离线，保留座位和累计得分', async () => {
+    const room = createRoom();
+    await playHand(room, DRAW);
+
+    await room.leaveRoom(PLAYERS[3].userId);
+
+    expect(room.data.players).toHaveLength(4);
+    expect(room.data.players[3].isOnline).toBe(false);
+  });
+
+  it('不在对局中时离开会让出座位', async () => {
+    const room = createRoom();
+
+    await room.leaveRoom(PLAYERS[3].userId);
+
+    expect(room.data.players).toHaveLength(3);
+  });
+});
+
+describe('Room 大结算', () => {
+  it('对局结束时生成大结算，保留到新对局第一局开始', async () => {
+    const room = createRoom(PLAYERS, { maxRounds: 1 });
+
+    await playHand(room, { winner: 1, isSelfDraw: true, silver: 40, scores: [-40, 120, -40, -40] });
+    const report = room.data.finalReport;
+    expect(report.rounds).toBe(1);
+    expect(report.players.map(player => player.totalScore)).toEqual([-40, 120, -40, -40]);
+
+    await readyAll(room);
+    expect(room.data.finalReport).toBe(report);
+
+    await room.startGame(new mongoose.Types.ObjectId(), 0);
+    expect(room.data.finalReport).toBeNull();
+  });
+
+  it('离开后重新入座时按牌局中的位置统计，而不是房间座位', async () => {
+    const room = createRoom(PLAYERS, { maxRounds: 1 });
+    const newcomer = new mongoose.Types.ObjectId();
+
+    // 1号座的玩家离开，新玩家补到1号座但排在玩家列表最后
+    await room.leaveRoom(PLAYERS[1].userId);
+    await room.joinRoom(newcomer, { nickname: '新玩家' });
+    expect(room.data.players.map(player => player.position)).toEqual([0, 2, 3, 1]);
+
+    // 牌局按玩家列表顺序编号，新玩家在牌局中的位置是3
+    await playHand(room, { winner: 3, from: 1, silver: 60, scores: [0, -60, 0, 60] });
+
+    const [first, second, third, fourth] = room.data.finalReport.players;
+    expect(fourth).toMatchObject({ position: 3, seat: 1, userId: newcomer, totalScore: 60, winCount: 1 });
+    expect(second).toMatchObject({ position: 1, seat: 2, totalScore: -60, dealInCount: 1 });
+    expect(first.totalScore).toBe(0);
+    expect(third.totalScore).toBe(0);
+  });
+});
+
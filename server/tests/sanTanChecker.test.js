@@ -0,0 +1,41 @@
+const { Card } = require('../src/models/Card');
+const { SanTanChecker } = require('../src/services/sanTanChecker');
+
+/**
+ * 按记法生成牌组，如 meld('peng', '111w')
+ */
+const meld = (type, notation, concealed = false) => ({ type, cards: Card.parseTiles(notation), concealed });
+
+describe('SanTanChecker', () => {
+  it('三次同一色时不能打这一色', () => {
+    const sanTan = SanTanChecker.detect([meld('chi', '123w'), meld('peng', '555w'), meld('chi', '789w')]);
+
+    expect(sanTan).toMatchObject({ types: ['wan'], terminals: false });
+    expect(SanTanChecker.isDangerousDiscard(sanTan, 'wan_4')).toBe(true);
+    expect(SanTanChecker.isDangerousDiscard(sanTan, 'tong_4')).toBe(false);
+  });
+
+  it('字碰加同一色也算同一色', () => {
+    expect(SanTanChecker.detect([meld('peng', '111z'), meld('peng', '555z'), meld('chi', '345t')]).types)
+      .toEqual(['zi', 'tong']);
+    expect(SanTanChecker.detect([meld('peng', '111z'), meld('chi', '123s'), meld('chi', '456s')]).types)
+      .toEqual(['zi', 'suo']);
+  });
+
+  it('碰杠三次时不能打大幺牌', () => {
+    const sanTan = SanTanChecker.detect([meld('peng', '222w'), meld('peng', '333t'), meld('gang', '4444s')]);
+
+    expect(sanTan).toMatchObject({ types: [], terminals: true });
+    expect(SanTanChecker.isDangerousDiscard(sanTan, 'wan_9')).toBe(true);
+    expect(SanTanChecker.isDangerousDiscard(sanTan, 'zi_3')).toBe(true);
+    expect(SanTanChecker.isDangerousDiscard(sanTan, 'wan_5')).toBe(false);
+  });
+
+  it('不同色的吃牌不构成三摊', () => {
+    expect(SanTanChecker.detect([meld('chi', '123w'), meld('chi', '345t'), meld('peng', '555s')])).toBeNull();
+  });
+
+  it('暗杠不算牌面上的牌组', () => {
+    expect(SanTanChecker.detect([meld('chi', '123w'), meld('peng', '555w'), meld('gang', '7777w', true)])).toBeNull();
+  });
+});
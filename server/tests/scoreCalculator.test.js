@@ -0,0 +1,117 @@
+const { ScoreCalculator } = require('../src/services/scoreCalculator');
+const { Card } = require('../src/models/Card');
+const { createGame } = require('./helpers');
+
+describe('ScoreCalculator', () => {
+  describe('calculate', () => {
+    it('幺半三：底分三十，超一进十，银子一比一', () => {
+      expect(ScoreCalculator.calculate('yao_ban_san', 2, 0)).toMatchObject({ points: 40, silver: 40, capped: false });
+      expect(ScoreCalculator.calculate('yao_ban_san', 38, 1)).toMatchObject({ points: 140, silver: 140 });
+    });
+
+    it('幺半三：超过三百封顶，三番直接封顶', () => {
+      expect(ScoreCalculator.calculate('yao_ban_san', 50, 2)).toMatchObject({ points: 300, capped: true });
+      expect(ScoreCalculator.calculate('yao_ban_san', 0, 3)).toMatchObject({ points: 300, capped: true });
+    });
+
+    it('幺半六：银子按半进计算', () => {
+      expect(ScoreCalculator.calculate('yao_ban_liu', 10, 0)).toMatchObject({ points: 70, silver: 100 });
+      expect(ScoreCalculator.calculate('yao_ban_liu', 20, 1)).toMatchObject({ points: 160, silver: 150 });
+      expect(ScoreCalculator.calculate('yao_ban_liu', 60, 0)).toMatchObject({ points: 120, silver: 100 });
+      expect(ScoreCalculator.calculate('yao_ban_liu', 0, 3)).toMatchObject({ points: 500, capped: true });
+    });
+
+    it('推倒八：不计胡数，按番数查表', () => {
+      expect(ScoreCalculator.calculate('tui_dao_ba', 80, 0).points).toBe(100);
+      expect(ScoreCalculator.calculate('tui_dao_ba', 0, 2).points).toBe(400);
+      expect(ScoreCalculator.calculate('tui_dao_ba', 0, 5)).toMatchObject({ points: 800, capped: true });
+    });
+
+    it('幺二六：底分一百，一千封顶', () => {
+      expect(ScoreCalculator.calculate('yao_er_liu', 20, 2)).toMatchObject({ points: 480, silver: 500 });
+      expect(ScoreCalculator.calculate('yao_er_liu', 0, 3)).toMatchObject({ points: 1000, capped: true });
+    });
+
+    it('不支持的计分模式报错', () => {
+      expect(() => ScoreCalculator.calculate('unknown', 0, 0)).toThrow('不支持的计分模式');
+    });
+  });
+
+  describe('settleLosers', () => {
+    it('幺半三：边家每十胡五银，头家每十胡十银', () => {
+      const transfers = ScoreCalculator.settleLosers('yao_ban_san', [
+        { position: 1, huCount: 40 },
+        { position: 2, huCount: 15 },
+        { position: 3, huCount: 0 }
+      ]);
+
+      expect(transfers).toEqual([
+        { from: 2, to: 1, amount: 10, relation: 'side', huDiff: 25 },
+        { from: 3, to: 1, amount: 40, relation: 'opposite', huDiff: 40 },
+        { from: 3, to: 2, amount: 5, relation: 'side', huDiff: 15 }
+      ]);
+    });
+
+    it('幺二六：边家之间不结算', () => {
+      const transfers = ScoreCalculator.settleLosers('yao_er_liu', [
+        { position: 0, huCount: 90 },
+        { position: 1, huCount: 0 },
+        { position: 2, huCount: 30 }
+      ]);
+
+      expect(transfers).toEqual([
+        { from: 2, to: 0, amount: 100, relation: 'opposite', huDiff: 60 }
+      ]);
+    });
+
+    it('胡数差不足一档时不结算', () => {
+      expect(ScoreCalculator.settleLosers('yao_ban_liu', [
+        { position: 1, huCount: 40 },
+        { position: 3, huCount: 20 }
+      ])).toEqual([]);
+    });
+  });
+
+  describe('Game.calculateScores', () => {
+    /**
+     * 按给定手牌（默认为空）和胡数、番数结算
+     */
+    const settle = (mode, winDetail, hands = []) => {
+      const { data, game } = createGame(null, { mode });
+      data.players.forEach((player, position) => {
+        player.handCards = Card.parseTiles(hands[position] || '');
+        player.flowerCards = [];
+      });
+      Object.assign(data, { winner: 0, huCount: 10, fanCount: 1, winDetail });
+      game.calculateScores();
+      return data;
+    };
+
+    it('自摸由三家各付一份银子', () => {
+      const data = settle('yao_ban_liu', { isSelfDraw: true });
+
+      expect(data.scoreDetail).toMatchObject({ points: 140, silver: 150 });
+      expect(data.settlement.totals).toEqual([450, -150, -150, -150]);
+    });
+
+    it('点炮由放炮的玩家一家付', () => {
+      const data = settle('yao_ban_san', { isSelfDraw: false, from: 2 });
+
+      expect(data.scoreDetail.payments).toEqual([{ from: 2, to: 0, amount: 80 }]);
+      expect(data.settlement.totals).toEqual([80, 0, -80, 0]);
+    });
+
+    it('没胡三家按手中暗刻的胡数互相结算', () => {
+      // 1号位手中两个幺九暗刻16胡，2号位是边家，3号位是对家
+      const data = settle('yao_ban_san', { isSelfDraw: true }, ['', '111z 999w', '23w', '45t']);
+
+      expect(data.settlement.loserHands.map(hand => hand.huCount)).toEqual([16, 0, 0]);
+      expect(data.settlement.transfers.filter(transfer => transfer.reason === 'loser')).toEqual([
+        { from: 2, to: 1, amount: 5, relation: 'side', huDiff: 16, reason: 'loser' },
+        { from: 3, to: 1, amount: 10, relation: 'opposite', huDiff: 16, reason: 'loser' }
+      ]);
+      expect(data.settlement.totals).toEqual([240, -65, -85, -90]);
+      expect(data.settlement.matrix[3][1]).toBe(10);
+    });
+  });
+});
@@ -0,0 +1,74 @@
+const { Card, TILE_KIND_COUNT } = require('../src/models/Card');
+const WinChecker = require('../src/services/winChecker');
+const { ShantenCalculator } = require('../src/services/shantenCalculator');
+
+const tiles = notation => Card.parseTiles(notation);
+
+describe('ShantenCalculator', () => {
+  describe('calculate', () => {
+    it.each([
+      ['111w 234t 567s 678s 55z', -1],
+      ['234t 567s 678s 11z 34w', 0],
+      ['1112345678999w', 0],
+      ['234t 567s 678s 11z 3w 7z', 1],
+      ['159w 159t 159s 1234z', 8]
+    ])('%s 的向听数为 %i', (notation, shanten) => {
+      expect(ShantenCalculator.calculate(tiles(notation))).toBe(shanten);
+    });
+
+    it('亮出的牌组算一组完整面子', () => {
+      const { handCards, melds } = Card.parseHand('[999s] [2222z] 34w 11z 57t');
+
+      expect(ShantenCalculator.calculate(handCards, melds)).toBe(1);
+    });
+
+    it('含花牌时返回 null', () => {
+      expect(ShantenCalculator.calculate([...tiles('234t 567s 678s 11z 3w'), 'hua_1'])).toBeNull();
+    });
+
+    it('calculateCounts 计算后计数不变', () => {
+      const counts = WinChecker.toCounts(tiles('234t 567s 678s 11z 3w 7z'));
+      const before = [...counts];
+
+      ShantenCalculator.calculateCounts(counts, 4);
+
+      expect(counts).toEqual(before);
+    });
+  });
+
+  describe('getUsefulTiles', () => {
+    it('听牌时有效牌即听的牌，剩余张数扣除已见到的', () => {
+      const counts = WinChecker.toCounts(tiles('234t 567s 678s 11z 34w'));
+      const visible = new Array(TILE_KIND_COUNT).fill(0);
+      visible[1] = 3;
+
+      expect(ShantenCalculator.getUsefulTiles(counts, 4, visible)).toEqual([
+        { cardId: 'wan_2', remaining: 1 },
+        { cardId: 'wan_5', remaining: 4 }
+      ]);
+    });
+  });
+
+  describe('rankDiscards', () => {
+    it('按打出后的向听数、再按有效牌张数排序，给出手中的牌', () => {
+      const handCards = ['wan_3#0', 'wan_4#1', 'tong_2#0', 'tong_3#0', 'tong_4#0', 'suo_5#0', 'suo_6#0', 'suo_7#0',
+        'suo_6#1', 'suo_7#1', 'suo_8#0', 'zi_1#0', 'zi_1#1', 'zi_7#2'];
+      const visible = WinChecker.toCounts(handCards);
+
+      const [best, ...others] = ShantenCalculator.rankDiscards(handCards, [], visible);
+
+      expect(best).toMatchObject({ cardId: 'zi_7#2', shanten: 0, usefulCount: 8 });
+      expect(best.usefulTiles.map(tile => tile.cardId)).toEqual(['wan_2', 'wan_5']);
+      expect(others).toHaveLength(10);
+      others.forEach(option => {
+        expect(option.shanten).toBeGreaterThanOrEqual(1);
+        expect(handCards).toContain(option.cardId);
+      });
+      others.slice(1).forEach((option, index) => {
+        const previous = others[index];
+        expect(option.shanten > previous.shanten ||
+          (option.shanten === previous.shanten && option.usefulCount <= previous.usefulCount)).toBe(true);
+      });
+    });
+  });
+});
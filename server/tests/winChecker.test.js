@@ -0,0 +1,90 @@
+const { Card } = require('../src/models/Card');
+const WinChecker = require('../src/services/winChecker');
+const { Game, GameModel } = require('../src/models/Game');
+
+const tiles = notation => Card.parseTiles(notation);
+
+describe('WinChecker', () => {
+  describe('findDecompositions', () => {
+    it('拆出一对将牌加四组面子', () => {
+      const [decomposition, ...rest] = WinChecker.findDecompositions(tiles('111w 234t 567s 678s 55z'));
+
+      expect(rest).toHaveLength(0);
+      expect(decomposition.pair.cards).toEqual(tiles('55z'));
+      expect(decomposition.melds.map(meld => meld.type)).toEqual(['peng', 'chi', 'chi', 'chi']);
+    });
+
+    it('同一手牌可有多种拆法', () => {
+      // 三连刻既可拆成三个刻子也可拆成三个顺子
+      const decompositions = WinChecker.findDecompositions(tiles('111w 222w 333w 789t 55z'));
+      expect(decompositions).toHaveLength(2);
+    });
+
+    it('亮出的牌组原样加入拆分结果', () => {
+      const { handCards, melds } = Card.parseHand('[999s] (5555t) 234w 678w 11z');
+      const [decomposition] = WinChecker.findDecompositions(handCards, melds);
+
+      expect(decomposition.melds).toHaveLength(4);
+      expect(decomposition.melds.filter(meld => meld.concealed && meld.type === 'gang')).toHaveLength(1);
+      expect(decomposition.melds.filter(meld => !meld.concealed)).toHaveLength(1);
+    });
+
+    it('张数不对或含花牌时不能胡', () => {
+      expect(WinChecker.findDecompositions(tiles('111w 234t 567s 55z'))).toEqual([]);
+      expect(WinChecker.findDecompositions([...tiles('111w 234t 567s 678s 5z'), 'hua_1'])).toEqual([]);
+    });
+  });
+
+  describe('isWinningHand', () => {
+    it('字牌不能组成顺子', () => {
+      expect(WinChecker.isWinningHand(tiles('123z 234t 567s 678s 55z'))).toBe(false);
+    });
+
+    it('七对不是宁海麻将的胡牌牌型', () => {
+      expect(WinChecker.isWinningHand(tiles('11w 33w 55t 77t 99s 11z 22z'))).toBe(false);
+    });
+  });
+
+  describe('getWaitingTiles', () => {
+    it('九莲宝灯听一到九万', () => {
+      const waits = WinChecker.getWaitingTiles(tiles('1112345678999w'));
+      expect(waits).toEqual(tiles('123456789w'));
+    });
+
+    it('亮出的牌组占一组面子', () => {
+      const { handCards, melds } = Card.parseHand('[999s] 234w 678w 3t4t 11z');
+      expect(WinChecker.getWaitingTiles(handCards, melds)).toEqual(tiles('25t'));
+    });
+
+    it('自己已有四张的牌不算听牌', () => {
+      // 1111w 只能单吊第五张 1w
+      const hand = tiles('1111w 234t 567s 678s');
+      expect(WinChecker.getWaitingTiles(hand)).toEqual([]);
+      expect(WinChecker.isTenpai(hand)).toBe(false);
+    });
+
+    it('没听牌时返回空数组', () => {
+      const hand = tiles('159w 159t 159s 1234z');
+      expect(WinChecker.getWaitingTiles(hand)).toEqual([]);
+      expect(WinChecker.isTenpai(hand)).toBe(false);
+    });
+
+    it('getWaitingIndexes 按计数数组返回牌种索引，不改动计数', () => {
+      const counts = WinChecker.toCounts(tiles('234t 567s 678s 11z 34w'));
+      const before = [...counts];
+
+      expect(WinChecker.getWaitingIndexes(counts, 4)).toEqual([1, 4]);
+      expect(counts).toEqual(before);
+    });
+  });
+
+  describe('Game.isWinningHand', () => {
+    it('按拆分结果判断胡牌，亮出的牌组占一组面子', () => {
+      const game = new Game(new GameModel({ roomId: 'room', players: [] }));
+      const { handCards, melds } = Card.parseHand('[999s] 234w 678w 345t 11z');
+
+      expect(game.isWinningHand(handCards, melds)).toBe(true);
+      expect(game.isWinningHand(handCards, [])).toBe(false);
+    });
+  });
+});